@@ -1,14 +1,103 @@
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useMemo, useEffect, useRef } from 'react'
 import FileUpload from './components/FileUpload'
 import ClassMapping from './components/ClassMapping'
 import ReportSettings from './components/ReportSettings'
 import ReportPreview from './components/ReportPreview'
-import { parseDatabase, extractIntermediateData } from './utils/sqliteParser'
-import { processIntermediateData, downloadMergedDataCSV, viewMergedDataAsHTML } from './utils/dataProcessor'
+import ColumnMapping from './components/ColumnMapping'
+import TemplateManager from './components/TemplateManager'
+import { loadDatabases, extractDatabases, processRaceData, closeDatabases } from './utils/databaseWorkerClient'
+import { isTabularFile, readTabularFile, extractTabularIntermediateData } from './utils/tabularParser'
+import { getFileKey } from './utils/fileValidation'
+import { 
+  downloadMergedDataCSV, 
+  viewMergedDataAsHTML,
+  isMergedDataTable,
+  getMergedDataYear,
+  extractMergedIntermediateData,
+  getProcessingOptions
+} from './utils/dataProcessor'
+import { buildFinalsRoster, downloadRosterCSV, openPrintableRoster } from './utils/rosterExport'
+import {
+  readSessionFiles, toFiles, saveSessionFiles, saveSessionState, loadSession, clearSession
+} from './utils/sessionStore'
+import { downloadProjectFile, readProjectFile } from './utils/projectFile'
+import { loadTemplateStore, saveTemplateStore, applyTemplate } from './utils/templates'
+
+/**
+ * Open uploaded files as sources: SQLite files are loaded into the database worker,
+ * spreadsheets are read here (column mappings are filled in later)
+ * @returns {Promise<Array>} - Sources in file order
+ */
+async function openSources(files, onMessage) {
+  const sqliteFiles = files.filter(f => !isTabularFile(f.name))
+  const loaded = sqliteFiles.length > 0
+    ? await loadDatabases(sqliteFiles, progress => 
+        onMessage(describeProgress('Loading', progress))
+      )
+    : []
+  
+  const sources = []
+  
+  for (const file of files) {
+    if (isTabularFile(file.name)) {
+      onMessage(`Reading ${file.name}...`)
+      const table = await readTabularFile(file)
+      sources.push({
+        name: file.name,
+        key: getFileKey(file),
+        type: isMergedDataTable(table) ? 'merged' : 'table',
+        table,
+        columnMapping: null
+      })
+    } else {
+      sources.push({
+        name: file.name,
+        key: getFileKey(file),
+        type: 'sqlite',
+        dbId: loaded[sqliteFiles.indexOf(file)].dbId
+      })
+    }
+  }
+  
+  return sources
+}
+
+/**
+ * Extract intermediate data from uploaded sources (SQLite databases, spreadsheets or merged exports)
+ * SQLite extraction runs in the database worker; spreadsheets are small enough for the UI thread.
+ * @returns {Promise<Array>} - Intermediate data sets in the same order as sources
+ */
+async function extractSources(sources, year, onProgress) {
+  const sqliteSources = sources.filter(s => s.type === 'sqlite')
+  const sqliteData = sqliteSources.length > 0
+    ? await extractDatabases(sqliteSources.map(s => s.dbId), year, onProgress)
+    : []
+  
+  return sources.map(source => {
+    if (source.type === 'sqlite') {
+      return sqliteData[sqliteSources.indexOf(source)]
+    }
+    const intermediate = source.type === 'merged'
+      ? extractMergedIntermediateData(source.table, year)
+      : extractTabularIntermediateData(source.table, source.columnMapping, year)
+    return {
+      ...intermediate,
+      fileName: source.name
+    }
+  })
+}
+
+// Loading overlay text for worker progress messages
+function describeProgress(verb, { fileName, index, total }) {
+  return total > 1
+    ? `${verb} ${fileName} (${index + 1} of ${total})...`
+    : `${verb} ${fileName}...`
+}
 
 function App() {
   const [step, setStep] = useState(1)
   const [databases, setDatabases] = useState([])
+  const [pendingSources, setPendingSources] = useState(null) // Sources waiting on spreadsheet column mapping
   const [intermediateData, setIntermediateData] = useState([])
   const [raceData, setRaceData] = useState(null)
   const [classMapping, setClassMapping] = useState(null)
@@ -23,107 +112,229 @@ function App() {
   })
   const [error, setError] = useState(null)
   const [loading, setLoading] = useState(false)
+  const [loadingMessage, setLoadingMessage] = useState(null)
+  const [savedSession, setSavedSession] = useState(null) // Session stored by an earlier visit, offered for resume
+  const [settingsDraft, setSettingsDraft] = useState(null) // Unsubmitted edits on the settings step
+  const sessionActive = useRef(false) // Whether the current files are stored, so state changes are saved too
+  const sessionFiles = useRef([]) // The current files as stored for the session (for project files)
+  const processRequest = useRef(0) // Latest processing request, so an older result never replaces a newer one
+  const [templateStore, setTemplateStore] = useState(loadTemplateStore) // { templates, activeName }
+  const activeTemplate = templateStore.templates.find(t => t.name === templateStore.activeName) || null
+
+  const handleTemplateStoreChange = useCallback((store) => {
+    setTemplateStore(store)
+    saveTemplateStore(store)
+  }, [])
+
+  // Offer to resume the last report
+  useEffect(() => {
+    loadSession()
+      .then(session => setSavedSession(session))
+      .catch(err => console.warn('Could not load saved session:', err))
+  }, [])
+
+  // Everything besides the files needed to restore the report
+  const sessionState = useMemo(() => ({
+    step,
+    classMapping,
+    columnMappings: Object.fromEntries(
+      databases.filter(s => s.type === 'table').map(s => [s.key, s.columnMapping])
+    ),
+    settings: step === 3 && settingsDraft ? { ...settings, ...settingsDraft } : settings
+  }), [step, classMapping, databases, settings, settingsDraft])
+
+  // Save the report state as it changes (files are saved once, on upload)
+  useEffect(() => {
+    if (!sessionActive.current || pendingSources) return
+    saveSessionState(sessionState)
+      .catch(err => console.warn('Could not save session:', err))
+  }, [sessionState, pendingSources])
+
+  // Store a new set of files as the current session; a storage failure shouldn't stop the upload
+  const startSession = useCallback(async (storedFiles) => {
+    sessionFiles.current = storedFiles
+    setSavedSession(null)
+    try {
+      await saveSessionFiles(storedFiles)
+      sessionActive.current = true
+    } catch (err) {
+      console.warn('Could not save session files:', err)
+    }
+  }, [])
+
+  // Grand Finals qualifiers, for the roster export on the settings step
+  const finalsRoster = useMemo(() => {
+    return raceData ? buildFinalsRoster(raceData, settings) : []
+  }, [raceData, settings])
+
+  // Process data in the worker; resolves null if a newer request started in the meantime
+  const processData = useCallback(async (intermediateDataSets, mapping, year, processingSettings) => {
+    const request = ++processRequest.current
+    const processed = await processRaceData(intermediateDataSets, mapping, year, getProcessingOptions(processingSettings))
+    return request === processRequest.current ? processed : null
+  }, [])
+
+  // Apply a class mapping to extracted data and move on to report configuration
+  const applyMapping = useCallback(async (intermediateDataSets, mapping, year) => {
+    setClassMapping(mapping)
+    
+    // Process all data with the mapping
+    const processed = await processData(intermediateDataSets, mapping, year, settings)
+    if (!processed) return
+    
+    setRaceData(processed)
+    
+    // Store sanity warnings separately for display
+    if (processed.sanityCheck) {
+      setSanityWarnings(processed.sanityCheck.warnings)
+    }
+    
+    // Auto-detect some settings from data
+    if (processed.classes.length > 0) {
+      setSettings(prev => ({
+        ...prev,
+        racerCount: processed.racers.length
+      }))
+    }
+    
+    setStep(3)
+  }, [settings, processData])
+
+  // Extract every source and move on to class mapping
+  const loadSources = useCallback(async (sources) => {
+    // Re-imported merged exports bring their own year
+    const mergedSource = sources.find(s => s.type === 'merged')
+    const year = (mergedSource && getMergedDataYear(mergedSource.table)) || settings.year
+    
+    const intermediateDataSets = await extractSources(sources, year, progress => 
+      setLoadingMessage(describeProgress('Extracting race data from', progress))
+    )
+    
+    setDatabases(sources)
+    setIntermediateData(intermediateDataSets)
+    setPendingSources(null)
+    if (year !== settings.year) {
+      setSettings(prev => ({ ...prev, year }))
+    }
+    
+    // Merged exports have the class mapping baked in - skip the mapping step if every file does
+    if (intermediateDataSets.every(d => d.classMapping)) {
+      const mapping = Object.assign({}, ...intermediateDataSets.map(d => d.classMapping))
+      await applyMapping(intermediateDataSets, mapping, year)
+      return
+    }
+    
+    // Move to class mapping step
+    setStep(2)
+  }, [settings.year, applyMapping])
 
   const handleFilesUploaded = useCallback(async (files) => {
     setLoading(true)
     setError(null)
     
     try {
-      const parsedDatabases = []
-      const intermediateDataSets = []
-      const currentYear = settings.year
+      // Databases from a previous upload are no longer needed
+      await closeDatabases(databases.filter(s => s.type === 'sqlite').map(s => s.dbId))
       
-      for (const file of files) {
-        const db = await parseDatabase(file)
-        parsedDatabases.push({
-          name: file.name,
-          db: db
-        })
-        
-        // Extract intermediate data with year
-        const intermediate = extractIntermediateData(db, currentYear)
-        intermediateDataSets.push({
-          ...intermediate,
-          fileName: file.name
-        })
+      // Keep the files so the session can be resumed
+      await startSession(await readSessionFiles(files))
+      
+      // A fresh upload starts from the active template
+      if (activeTemplate) {
+        setSettings(prev => applyTemplate(prev, activeTemplate))
       }
       
-      setDatabases(parsedDatabases)
-      setIntermediateData(intermediateDataSets)
+      const sources = await openSources(files, setLoadingMessage)
       
-      // Move to class mapping step
-      setStep(2)
+      // Spreadsheets need their columns mapped before they can be extracted
+      if (sources.some(s => s.type === 'table')) {
+        setPendingSources(sources)
+      } else {
+        await loadSources(sources)
+      }
     } catch (err) {
       setError(`Error processing file: ${err.message}`)
       console.error(err)
     } finally {
       setLoading(false)
+      setLoadingMessage(null)
     }
-  }, [settings.year])
+  }, [databases, loadSources, startSession, activeTemplate])
 
-  const handleMappingComplete = useCallback((mapping) => {
+  const handleColumnMappingComplete = useCallback(async (columnMappings) => {
     setLoading(true)
     setError(null)
     
     try {
-      setClassMapping(mapping)
-      
-      // Process all data with the mapping
-      const processed = processIntermediateData(
-        intermediateData,
-        mapping,
-        settings.year
-      )
-      
+      await loadSources(pendingSources.map(source => 
+        source.type === 'table'
+          ? { ...source, columnMapping: columnMappings[source.key] }
+          : source
+      ))
+    } catch (err) {
+      setError(`Error processing data: ${err.message}`)
+      console.error(err)
+    } finally {
+      setLoading(false)
+      setLoadingMessage(null)
+    }
+  }, [pendingSources, loadSources])
+
+  const handleMappingComplete = useCallback(async (mapping) => {
+    setLoading(true)
+    setError(null)
+    
+    try {
+      await applyMapping(intermediateData, mapping, settings.year)
+    } catch (err) {
+      setError(`Error processing data: ${err.message}`)
+      console.error(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [intermediateData, settings.year, applyMapping])
+
+  // The class list is edited on the mapping screen, before the data is processed
+  const handleTaxonomyChange = useCallback((classTaxonomy) => {
+    setSettings(prev => ({ ...prev, classTaxonomy }))
+  }, [])
+
+  // Processing options edited on the settings screen take effect immediately
+  const handleProcessingChange = useCallback(async (options) => {
+    const newSettings = { ...settings, ...options }
+    setSettings(newSettings)
+    if (!classMapping) return
+    
+    try {
+      const processed = await processData(intermediateData, classMapping, settings.year, newSettings)
+      if (!processed) return
       setRaceData(processed)
       
-      // Store sanity warnings separately for display
       if (processed.sanityCheck) {
         setSanityWarnings(processed.sanityCheck.warnings)
       }
-      
-      // Auto-detect some settings from data
-      if (processed.classes.length > 0) {
-        setSettings(prev => ({
-          ...prev,
-          racerCount: processed.racers.length
-        }))
-      }
-      
-      setStep(3)
     } catch (err) {
-      setError(`Error processing data: ${err.message}`)
+      setError(`Error re-processing data: ${err.message}`)
       console.error(err)
-    } finally {
-      setLoading(false)
     }
-  }, [intermediateData, settings.year])
+  }, [settings, classMapping, intermediateData, processData])
 
-  const handleSettingsComplete = useCallback((newSettings) => {
+  const handleSettingsComplete = useCallback(async (newSettings) => {
     // If year changed, re-process data
     if (newSettings.year !== settings.year && classMapping) {
       setLoading(true)
       try {
         // Re-extract intermediate data with new year
-        const intermediateDataSets = []
-        for (const { db, name } of databases) {
-          const intermediate = extractIntermediateData(db, newSettings.year)
-          intermediateDataSets.push({
-            ...intermediate,
-            fileName: name
-          })
-        }
+        const intermediateDataSets = await extractSources(databases, newSettings.year, progress =>
+          setLoadingMessage(describeProgress('Re-extracting', progress))
+        )
         setIntermediateData(intermediateDataSets)
         
         // Re-process with new year
-        const processed = processIntermediateData(
-          intermediateDataSets,
-          classMapping,
-          newSettings.year
-        )
-        setRaceData(processed)
+        const processed = await processData(intermediateDataSets, classMapping, newSettings.year, newSettings)
+        if (processed) setRaceData(processed)
         
-        if (processed.sanityCheck) {
+        if (processed?.sanityCheck) {
           setSanityWarnings(processed.sanityCheck.warnings)
         }
       } catch (err) {
@@ -131,12 +342,100 @@ function App() {
         console.error(err)
       } finally {
         setLoading(false)
+        setLoadingMessage(null)
       }
     }
     
     setSettings(prev => ({ ...prev, ...newSettings }))
     setStep(4)
-  }, [classMapping, databases, settings.year])
+  }, [classMapping, databases, settings.year, processData])
+
+  // Reopen a session's files and restore the mapping, settings and step
+  const restoreSession = useCallback(async ({ files, state }, targetStep) => {
+    setLoading(true)
+    setError(null)
+    
+    try {
+      await closeDatabases(databases.filter(s => s.type === 'sqlite').map(s => s.dbId))
+      
+      const savedSettings = { ...settings, ...state?.settings }
+      setSettings(savedSettings)
+      
+      const sources = (await openSources(toFiles(files), setLoadingMessage)).map(source =>
+        source.type === 'table'
+          ? { ...source, columnMapping: state?.columnMappings?.[source.key] || null }
+          : source
+      )
+      
+      if (sources.some(s => s.type === 'table' && !s.columnMapping)) {
+        setPendingSources(sources)
+        return
+      }
+      if (!state?.classMapping) {
+        await loadSources(sources)
+        return
+      }
+      
+      const intermediateDataSets = await extractSources(sources, savedSettings.year, progress =>
+        setLoadingMessage(describeProgress('Extracting race data from', progress))
+      )
+      const processed = await processData(intermediateDataSets, state.classMapping, savedSettings.year, savedSettings)
+      if (!processed) return
+      setDatabases(sources)
+      setIntermediateData(intermediateDataSets)
+      setClassMapping(state.classMapping)
+      setRaceData(processed)
+      if (processed.sanityCheck) {
+        setSanityWarnings(processed.sanityCheck.warnings)
+      }
+      setStep(targetStep || Math.max(3, state.step))
+    } catch (err) {
+      setError(`Error restoring the report: ${err.message}`)
+      console.error(err)
+    } finally {
+      setLoading(false)
+      setLoadingMessage(null)
+    }
+  }, [databases, settings, loadSources, processData])
+
+  const handleResumeSession = useCallback(async () => {
+    const session = savedSession
+    sessionFiles.current = session.files
+    sessionActive.current = true
+    setSavedSession(null)
+    await restoreSession(session)
+  }, [savedSession, restoreSession])
+
+  // A project file becomes the current session and opens at the preview
+  const handleOpenProject = useCallback(async (file) => {
+    try {
+      const project = await readProjectFile(file)
+      await startSession(project.files)
+      await restoreSession(project, 4)
+    } catch (err) {
+      setError(`Error opening project: ${err.message}`)
+      console.error(err)
+    }
+  }, [startSession, restoreSession])
+
+  const handleSaveProject = useCallback(() => {
+    downloadProjectFile(
+      sessionFiles.current,
+      sessionState,
+      `pinewood_derby_${settings.year}`
+    )
+  }, [sessionState, settings.year])
+
+  // Forget the stored session (files and settings) for privacy
+  const handleClearSession = useCallback(async () => {
+    try {
+      await clearSession()
+      sessionActive.current = false
+      setSavedSession(null)
+    } catch (err) {
+      setError(`Could not clear saved data: ${err.message}`)
+    }
+  }, [])
 
   const handleBack = useCallback(() => {
     setStep(prev => Math.max(1, prev - 1))
@@ -148,7 +447,7 @@ function App() {
       <header className="bg-derby-blue text-white py-4 shadow-lg no-print">
         <div className="container mx-auto px-4">
           <h1 className="text-2xl font-bold">🏎️ Pinewood Derby Report Generator</h1>
-          <p className="text-blue-200 text-sm">Generate professional PDF reports from GrandPrix Race Manager data</p>
+          <p className="text-blue-200 text-sm">Generate professional PDF reports from GrandPrix Race Manager and DerbyNet data</p>
         </div>
       </header>
 
@@ -191,19 +490,47 @@ function App() {
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
             <div className="bg-white p-8 rounded-lg shadow-xl">
               <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-derby-blue mx-auto"></div>
-              <p className="mt-4 text-gray-600">Processing database...</p>
+              <p className="mt-4 text-gray-600">{loadingMessage || 'Processing database...'}</p>
             </div>
           </div>
         )}
 
-        {step === 1 && (
-          <FileUpload onFilesUploaded={handleFilesUploaded} />
+        {step === 1 && !pendingSources && (
+          <FileUpload
+            onFilesUploaded={handleFilesUploaded}
+            savedSession={savedSession}
+            hasStoredData={Boolean(savedSession) || sessionActive.current}
+            onResumeSession={handleResumeSession}
+            onOpenProject={handleOpenProject}
+            onClearSession={handleClearSession}
+          />
+        )}
+
+        {step === 1 && !pendingSources && (
+          <div className="max-w-2xl mx-auto mt-6">
+            <TemplateManager
+              store={templateStore}
+              onStoreChange={handleTemplateStoreChange}
+              onError={setError}
+            />
+          </div>
+        )}
+
+        {step === 1 && pendingSources && (
+          <ColumnMapping
+            sources={pendingSources.filter(s => s.type === 'table')}
+            onMappingComplete={handleColumnMappingComplete}
+            onBack={() => setPendingSources(null)}
+          />
         )}
 
         {step === 2 && intermediateData.length > 0 && (
           <ClassMapping
             intermediateData={intermediateData}
             year={settings.year}
+            classRules={activeTemplate?.classRules}
+            taxonomy={getProcessingOptions(settings).classTaxonomy}
+            onTaxonomyChange={handleTaxonomyChange}
             onMappingComplete={handleMappingComplete}
             onBack={handleBack}
           />
@@ -234,14 +561,18 @@ function App() {
                     }`}>
                       {warning.severity === 'error' ? '❌' : warning.severity === 'warning' ? '⚠️' : 'ℹ️'} {warning.message}
                     </h4>
-                    {warning.details && warning.details.length > 0 && warning.details.length <= 5 && (
+                    {warning.details && warning.details.length > 0 && (
                       <ul className="mt-2 text-sm text-gray-600">
-                        {warning.details.map((detail, i) => (
+                        {warning.details.slice(0, 5).map((detail, i) => (
                           <li key={i}>
-                            {detail.kidCarYear}
+                            {detail.kidCarYear || detail.name}
                             {detail.dens && ` (in: ${detail.dens.join(', ')})`}
+                            {detail.note && ` - ${detail.note}`}
                           </li>
                         ))}
+                        {warning.details.length > 5 && (
+                          <li className="italic">...and {warning.details.length - 5} more</li>
+                        )}
                       </ul>
                     )}
                   </div>
@@ -284,12 +615,52 @@ function App() {
               </div>
             )}
             
+            {/* Grand Finals Roster Export */}
+            {finalsRoster.length > 0 && (
+              <div className="mb-6 max-w-5xl mx-auto p-4 bg-yellow-50 border border-yellow-200 rounded">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h4 className="font-medium text-gray-700">Grand Finals Roster</h4>
+                    <p className="text-sm text-gray-500">
+                      {finalsRoster.length} qualifiers, seeded by den results — import into the race software before the finals
+                    </p>
+                  </div>
+                  <div className="flex gap-3">
+                    <button
+                      onClick={() => openPrintableRoster(finalsRoster, `${settings.title || 'Pinewood Derby'} ${settings.year} - Grand Finals Roster`)}
+                      className="px-3 py-1.5 text-sm bg-white border border-gray-300 rounded hover:bg-gray-100 transition-colors"
+                    >
+                      🖨️ Print Roster
+                    </button>
+                    <button
+                      onClick={() => downloadRosterCSV(finalsRoster, `grand_finals_roster_${settings.year}`)}
+                      className="px-3 py-1.5 text-sm bg-white border border-gray-300 rounded hover:bg-gray-100 transition-colors"
+                    >
+                      Download Roster CSV
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+            
             <ReportSettings 
               raceData={raceData}
               settings={settings}
+              onProcessingChange={handleProcessingChange}
+              onDraftChange={setSettingsDraft}
               onComplete={handleSettingsComplete}
               onBack={handleBack}
             />
+            
+            <div className="max-w-5xl mx-auto mt-6">
+              <TemplateManager
+                store={templateStore}
+                onStoreChange={handleTemplateStoreChange}
+                currentSettings={sessionState.settings}
+                classMapping={classMapping}
+                onError={setError}
+              />
+            </div>
           </>
         )}
 
@@ -297,6 +668,7 @@ function App() {
           <ReportPreview 
             raceData={raceData}
             settings={settings}
+            onSaveProject={handleSaveProject}
             onBack={handleBack}
           />
         )}
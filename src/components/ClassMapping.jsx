@@ -1,16 +1,22 @@
 import { useState, useCallback, useMemo, useEffect } from 'react'
-import { STANDARD_DEN_NAMES, SKIP_CLASS, guessStandardDenName } from '../utils/sqliteParser'
+import { SKIP_CLASS } from '../utils/sqliteParser'
+import { guessDenName } from '../utils/templates'
+import { DEFAULT_TAXONOMY, getClassNames } from '../utils/taxonomy'
+import ClassTaxonomyEditor from './ClassTaxonomyEditor'
 
 function ClassMapping({ 
   intermediateData, 
   year, 
+  classRules, // Class rules of the active template, tried before the built-in guesses
+  taxonomy = DEFAULT_TAXONOMY, // Classes to map into (see taxonomy.js)
+  onTaxonomyChange,
   onMappingComplete, 
   onBack 
 }) {
   // Build detailed class info including source file and racer count
   const classDetails = useMemo(() => {
     const details = []
-    intermediateData.forEach(({ uniqueClasses, classStats, fileName }) => {
+    intermediateData.forEach(({ uniqueClasses, classStats, fileName, source }) => {
       uniqueClasses.forEach(cls => {
         // Check if this class from this file is already in details
         const existing = details.find(d => d.className === cls && d.fileName === fileName)
@@ -19,6 +25,7 @@ function ClassMapping({
           details.push({
             className: cls,
             fileName: fileName || 'Unknown',
+            source,
             racerCount: stats.racerCount,
             recordCount: stats.recordCount
           })
@@ -47,22 +54,31 @@ function ClassMapping({
     return counts
   }, [classDetails])
 
+  // Mappings carried in by re-imported merged exports
+  const presetMapping = useMemo(() => {
+    return Object.assign({}, ...intermediateData.map(d => d.classMapping || {}))
+  }, [intermediateData])
+
   // Initialize mapping with best guesses, auto-skip classes with 0 racers
   const initialMapping = useMemo(() => {
     const mapping = {}
     allUniqueClasses.forEach(cls => {
       const racerCount = racerCountsByClass[cls] || 0
-      if (racerCount === 0) {
+      if (presetMapping[cls]) {
+        mapping[cls] = presetMapping[cls]
+      } else if (racerCount === 0) {
         // Auto-skip classes with no racers
         mapping[cls] = SKIP_CLASS
       } else {
-        mapping[cls] = guessStandardDenName(cls) || ''
+        mapping[cls] = guessDenName(cls, classRules, taxonomy) || ''
       }
     })
     return mapping
-  }, [allUniqueClasses, racerCountsByClass])
+  }, [allUniqueClasses, racerCountsByClass, presetMapping, classRules, taxonomy])
 
   const [classMapping, setClassMapping] = useState(initialMapping)
+  const [showTaxonomyEditor, setShowTaxonomyEditor] = useState(false)
+  const classNames = useMemo(() => getClassNames(taxonomy).filter(name => name.trim()), [taxonomy])
   const [sanityWarnings, setSanityWarnings] = useState([])
   const [showWarningDetails, setShowWarningDetails] = useState({})
 
@@ -74,7 +90,7 @@ function ClassMapping({
   // Count how many classes are mapped to each standard name (excluding skipped)
   const mappingCounts = useMemo(() => {
     const counts = {}
-    STANDARD_DEN_NAMES.forEach(name => counts[name] = 0)
+    classNames.forEach(name => counts[name] = 0)
     counts[SKIP_CLASS] = 0
     Object.values(classMapping).forEach(mapped => {
       if (mapped && counts[mapped] !== undefined) {
@@ -82,7 +98,7 @@ function ClassMapping({
       }
     })
     return counts
-  }, [classMapping])
+  }, [classMapping, classNames])
 
   const handleMappingChange = useCallback((rawClass, standardName) => {
     setClassMapping(prev => ({
@@ -91,6 +107,15 @@ function ClassMapping({
     }))
   }, [])
 
+  // Mappings follow renamed classes; classes that were removed become unmapped
+  const handleTaxonomyChange = useCallback((nextTaxonomy, renames) => {
+    onTaxonomyChange(nextTaxonomy)
+    if (Object.keys(renames).length === 0) return
+    setClassMapping(prev => Object.fromEntries(
+      Object.entries(prev).map(([rawClass, mapped]) => [rawClass, mapped in renames ? renames[mapped] : mapped])
+    ))
+  }, [onTaxonomyChange])
+
   const handleContinue = useCallback(() => {
     onMappingComplete(classMapping)
   }, [classMapping, onMappingComplete])
@@ -127,6 +152,22 @@ function ClassMapping({
           </span>
         </div>
 
+        {/* Class list */}
+        {onTaxonomyChange && (
+          <div className="mb-6">
+            <button
+              type="button"
+              onClick={() => setShowTaxonomyEditor(prev => !prev)}
+              className="text-sm text-derby-blue hover:text-blue-700 font-medium mb-2"
+            >
+              {showTaxonomyEditor ? 'Hide class list' : 'Edit class list (names, order, aliases, finals)'}
+            </button>
+            {showTaxonomyEditor && (
+              <ClassTaxonomyEditor taxonomy={taxonomy} onChange={handleTaxonomyChange} />
+            )}
+          </div>
+        )}
+
         {/* Mapping Table */}
         <div className="mb-6 overflow-x-auto">
           <table className="w-full border-collapse">
@@ -157,6 +198,9 @@ function ClassMapping({
                 >
                   <td className="p-3 border-b">
                     <span className="text-sm text-gray-600">{detail.fileName}</span>
+                    {detail.source && (
+                      <span className="block text-xs text-gray-400">{detail.source}</span>
+                    )}
                   </td>
                   <td className="p-3 border-b">
                     <span className="font-mono text-gray-800">{detail.className}</span>
@@ -172,7 +216,7 @@ function ClassMapping({
                     >
                       <option value="">-- Select Standard Den --</option>
                       <option value={SKIP_CLASS} className="text-gray-500 italic">⊘ Skip / Do not import</option>
-                      {STANDARD_DEN_NAMES.map(name => (
+                      {classNames.map(name => (
                         <option 
                           key={name} 
                           value={name}
@@ -292,7 +336,7 @@ function ClassMapping({
         <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded">
           <h4 className="font-medium text-gray-700 mb-2">Standard Den Names</h4>
           <div className="flex flex-wrap gap-2">
-            {STANDARD_DEN_NAMES.map(name => (
+            {classNames.map(name => (
               <span 
                 key={name} 
                 className={`px-3 py-1 rounded-full text-sm ${
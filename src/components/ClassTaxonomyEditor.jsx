@@ -0,0 +1,178 @@
+import { useCallback } from 'react'
+import { DEFAULT_TAXONOMY } from '../utils/taxonomy'
+
+const inputClass = 'border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-derby-blue'
+
+/**
+ * Editor for the class taxonomy: names, report order, aliases and finals roles
+ * onChange receives the new taxonomy and any renamed classes ({ oldName: newName },
+ * with '' for removed classes) so existing mappings can follow.
+ */
+function ClassTaxonomyEditor({ taxonomy, onChange }) {
+  const { classes } = taxonomy
+
+  const updateClasses = useCallback((nextClasses, renames = {}) => {
+    onChange({ ...taxonomy, classes: nextClasses }, renames)
+  }, [taxonomy, onChange])
+
+  const updateClass = useCallback((index, fields) => {
+    updateClasses(classes.map((c, i) => i === index ? { ...c, ...fields } : c))
+  }, [classes, updateClasses])
+
+  const renameClass = useCallback((index, name) => {
+    updateClasses(
+      classes.map((c, i) => i === index ? { ...c, name } : c),
+      { [classes[index].name]: name }
+    )
+  }, [classes, updateClasses])
+
+  const moveClass = useCallback((index, direction) => {
+    const target = index + direction
+    if (target < 0 || target >= classes.length) return
+    const next = [...classes]
+    ;[next[index], next[target]] = [next[target], next[index]]
+    updateClasses(next)
+  }, [classes, updateClasses])
+
+  const removeClass = useCallback((index) => {
+    updateClasses(classes.filter((_, i) => i !== index), { [classes[index].name]: '' })
+  }, [classes, updateClasses])
+
+  const addClass = useCallback(() => {
+    let name = 'New Class'
+    for (let n = 2; classes.some(c => c.name === name); n++) name = `New Class ${n}`
+    // Added above the finals class so it sorts with the other preliminary classes
+    const finalsIndex = classes.findIndex(c => c.isFinals)
+    const at = finalsIndex === -1 ? classes.length : finalsIndex
+    updateClasses([...classes.slice(0, at), { name, aliases: [] }, ...classes.slice(at)])
+  }, [classes, updateClasses])
+
+  const setFinalsClass = useCallback((index) => {
+    updateClasses(classes.map((c, i) => ({ ...c, isFinals: i === index, excludeFromFinals: i === index ? false : c.excludeFromFinals })))
+  }, [classes, updateClasses])
+
+  const resetClasses = useCallback(() => {
+    const defaultNames = new Set(DEFAULT_TAXONOMY.classes.map(c => c.name))
+    const renames = Object.fromEntries(classes.filter(c => !defaultNames.has(c.name)).map(c => [c.name, '']))
+    onChange(DEFAULT_TAXONOMY, renames)
+  }, [classes, onChange])
+
+  const duplicateNames = classes
+    .map(c => c.name.trim().toLowerCase())
+    .filter((name, i, names) => name && names.indexOf(name) !== i)
+
+  return (
+    <div className="border border-gray-200 rounded p-3">
+      <p className="text-sm text-gray-500 mb-3">
+        Classes appear in the report in this order. Aliases are comma-separated keywords that suggest a class name
+        from the race file belongs to the class. Racers in classes excluded from the finals are never picked as
+        Grand Finals qualifiers.
+      </p>
+      <table className="w-full text-sm mb-2">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th className="py-1 pr-2 font-medium">Order</th>
+            <th className="py-1 pr-2 font-medium">Class name</th>
+            <th className="py-1 pr-2 font-medium">Aliases</th>
+            <th className="py-1 pr-2 font-medium text-center">Finals class</th>
+            <th className="py-1 pr-2 font-medium text-center">Excluded from finals</th>
+            <th className="py-1"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {classes.map((cls, i) => (
+            <tr key={i} className="border-t border-gray-100">
+              <td className="py-1 pr-2 whitespace-nowrap">
+                <button
+                  type="button"
+                  onClick={() => moveClass(i, -1)}
+                  disabled={i === 0}
+                  className="px-1 text-gray-500 hover:text-gray-800 disabled:text-gray-300"
+                  title="Move up"
+                >
+                  ▲
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveClass(i, 1)}
+                  disabled={i === classes.length - 1}
+                  className="px-1 text-gray-500 hover:text-gray-800 disabled:text-gray-300"
+                  title="Move down"
+                >
+                  ▼
+                </button>
+              </td>
+              <td className="py-1 pr-2">
+                <input
+                  type="text"
+                  value={cls.name}
+                  onChange={(e) => renameClass(i, e.target.value)}
+                  className={`${inputClass} w-full ${cls.name.trim() ? '' : 'border-red-300 bg-red-50'}`}
+                />
+              </td>
+              <td className="py-1 pr-2">
+                <input
+                  type="text"
+                  value={(cls.aliases || []).join(', ')}
+                  onChange={(e) => updateClass(i, { aliases: e.target.value.split(',').map(a => a.trimStart()) })}
+                  placeholder="e.g. sibling, brother, sister"
+                  className={`${inputClass} w-full`}
+                />
+              </td>
+              <td className="py-1 pr-2 text-center">
+                <input
+                  type="radio"
+                  name="finalsClass"
+                  checked={Boolean(cls.isFinals)}
+                  onChange={() => setFinalsClass(i)}
+                  className="text-derby-blue"
+                />
+              </td>
+              <td className="py-1 pr-2 text-center">
+                <input
+                  type="checkbox"
+                  checked={Boolean(cls.excludeFromFinals)}
+                  disabled={cls.isFinals}
+                  onChange={(e) => updateClass(i, { excludeFromFinals: e.target.checked })}
+                  className="rounded text-derby-blue"
+                />
+              </td>
+              <td className="py-1 text-right">
+                <button
+                  type="button"
+                  onClick={() => removeClass(i)}
+                  disabled={classes.length === 1}
+                  className="text-red-500 hover:text-red-700 disabled:text-gray-300"
+                >
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {duplicateNames.length > 0 && (
+        <p className="text-sm text-amber-700 mb-2">⚠️ Class names must be unique: {[...new Set(duplicateNames)].join(', ')}</p>
+      )}
+      <div className="flex gap-4 text-sm">
+        <button type="button" onClick={addClass} className="text-derby-blue hover:text-blue-700 font-medium">
+          + Add class
+        </button>
+        {classes.some(c => c.isFinals) && (
+          <button
+            type="button"
+            onClick={() => updateClasses(classes.map(c => ({ ...c, isFinals: false })))}
+            className="text-gray-600 hover:text-gray-800"
+          >
+            No finals class
+          </button>
+        )}
+        <button type="button" onClick={resetClasses} className="text-gray-600 hover:text-gray-800">
+          Reset to Cub Scout dens
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ClassTaxonomyEditor
@@ -0,0 +1,148 @@
+import { useState, useCallback, useMemo } from 'react'
+import { TABULAR_FIELDS, guessColumnMapping, isColumnMappingComplete } from '../utils/tabularParser'
+
+// Number of spreadsheet rows shown in the preview under each mapping table
+const PREVIEW_ROWS = 5
+
+function ColumnMapping({ sources, onMappingComplete, onBack }) {
+  // One column mapping per spreadsheet, keyed by the source's file key (two files can share a name)
+  const initialMappings = useMemo(() => {
+    const mappings = {}
+    sources.forEach(source => {
+      mappings[source.key] = guessColumnMapping(source.table.headers)
+    })
+    return mappings
+  }, [sources])
+
+  const [columnMappings, setColumnMappings] = useState(initialMappings)
+
+  const allMapped = useMemo(() => {
+    return sources.every(source => isColumnMappingComplete(columnMappings[source.key]))
+  }, [sources, columnMappings])
+
+  const handleColumnChange = useCallback((sourceKey, fieldKey, value) => {
+    setColumnMappings(prev => ({
+      ...prev,
+      [sourceKey]: {
+        ...prev[sourceKey],
+        [fieldKey]: value === '' ? '' : parseInt(value)
+      }
+    }))
+  }, [])
+
+  const handleContinue = useCallback(() => {
+    onMappingComplete(columnMappings)
+  }, [columnMappings, onMappingComplete])
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="bg-white rounded-lg shadow-md p-8">
+        <h2 className="text-xl font-bold text-gray-800 mb-2">Map Spreadsheet Columns</h2>
+        <p className="text-gray-600 mb-6">
+          Tell the app which spreadsheet column holds each piece of race data.
+          Each row of the spreadsheet should be one racer in one heat.
+        </p>
+
+        {sources.map(({ key: sourceKey, name, table }, index) => {
+          const mapping = columnMappings[sourceKey]
+          return (
+            <div key={`${sourceKey}-${index}`} className="mb-8">
+              <h3 className="font-medium text-gray-700 mb-1">{name}</h3>
+              <p className="text-sm text-gray-500 mb-3">{table.rows.length} rows</p>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                {TABULAR_FIELDS.map(field => {
+                  const isMissing = field.required && mapping[field.key] === ''
+                  return (
+                    <div key={field.key}>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        {field.label}
+                        {field.required && <span className="text-red-500 ml-1">*</span>}
+                      </label>
+                      <select
+                        value={mapping[field.key]}
+                        onChange={(e) => handleColumnChange(sourceKey, field.key, e.target.value)}
+                        className={`w-full border rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-derby-blue ${
+                          isMissing ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                        }`}
+                      >
+                        <option value="">-- Not in file --</option>
+                        {table.headers.map((header, i) => (
+                          <option key={i} value={i}>{header}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )
+                })}
+              </div>
+
+              {/* Preview of the first few rows */}
+              <div className="overflow-x-auto border border-gray-200 rounded">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      {table.headers.map((header, i) => (
+                        <th key={i} className="px-2 py-1 text-left font-medium text-gray-700">{header}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {table.rows.slice(0, PREVIEW_ROWS).map((row, r) => (
+                      <tr key={r} className="border-t">
+                        {table.headers.map((_, i) => (
+                          <td key={i} className="px-2 py-1 text-gray-600">{row[i]}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )
+        })}
+
+        {/* Not Mapped Warning */}
+        {!allMapped && (
+          <div className="mb-4 p-4 bg-red-50 border border-red-300 rounded">
+            <p className="text-red-700">
+              <strong>⚠️ Warning:</strong> Fields marked * must be assigned a column before continuing.
+            </p>
+          </div>
+        )}
+
+        {/* Info Box */}
+        <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded">
+          <h4 className="font-medium text-blue-800 mb-1">💡 Tip</h4>
+          <p className="text-blue-700 text-sm">
+            If the file has no class/den column, every row is placed in one class named after the file,
+            which you can map to a den in the next step.
+          </p>
+        </div>
+
+        {/* Navigation Buttons */}
+        <div className="flex justify-between">
+          <button
+            type="button"
+            onClick={onBack}
+            className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors"
+          >
+            ← Back
+          </button>
+          <button
+            onClick={handleContinue}
+            disabled={!allMapped}
+            className={`px-6 py-2 rounded font-medium transition-colors ${
+              allMapped
+                ? 'bg-derby-blue text-white hover:bg-blue-700'
+                : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+            }`}
+          >
+            Continue →
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ColumnMapping
@@ -0,0 +1,327 @@
+import { useState, useMemo, useCallback } from 'react'
+import { heatResultKey } from '../utils/outliers'
+import { createCorrection, buildAddedRecord, describeCorrection, describeHeatResult } from '../utils/corrections'
+
+const MAX_ROWS = 50
+
+const inputClass = 'border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-derby-blue'
+
+/**
+ * Editor for manual result corrections
+ * Lists the heat results as recorded (records, before corrections) beside their corrected
+ * values (correctedRecords), so any corrected or voided result can be restored from its row.
+ */
+function CorrectionEditor({ records, correctedRecords, corrections, onChange }) {
+  const [filters, setFilters] = useState({ racer: '', className: '', heat: '', lane: '' })
+  const [editing, setEditing] = useState(null) // { key, mode: 'override'|'void', time, note }
+  const [newResult, setNewResult] = useState({ racer: '', RoundID: '', Heat: '', Lane: '', FinishTime: '', note: '' })
+
+  const classNames = useMemo(() => [...new Set(records.map(r => r.Class))], [records])
+
+  // One record per racer and class, for the "add a missing result" picker
+  const racerRecords = useMemo(() => {
+    const map = new Map()
+    records.forEach(r => {
+      if (!map.has(r.KidCarYear)) map.set(r.KidCarYear, r)
+    })
+    return [...map.values()].sort((a, b) => a.Class.localeCompare(b.Class) || a.LastName.localeCompare(b.LastName))
+  }, [records])
+
+  // Every result as recorded plus the added ones, with its corrected value (null once voided)
+  const rows = useMemo(() => {
+    const current = new Map(correctedRecords.map(r => [heatResultKey(r), r]))
+    const correctedKeys = new Set(corrections.map(c => c.key))
+    const addedRecords = corrections.filter(c => c.type === 'add').map(c => c.record)
+    return [...records, ...addedRecords].map((record, i) => {
+      const key = heatResultKey(record)
+      return {
+        key,
+        record,
+        added: i >= records.length,
+        corrected: correctedKeys.has(key),
+        current: current.get(key) || null
+      }
+    })
+  }, [records, correctedRecords, corrections])
+
+  const filteredRows = useMemo(() => {
+    const racerFilter = filters.racer.trim().toLowerCase()
+    return rows.filter(({ record: r }) =>
+      (!racerFilter || `${r.FirstName} ${r.LastName} #${r.CarNumber}`.toLowerCase().includes(racerFilter)) &&
+      (!filters.className || r.Class === filters.className) &&
+      (!filters.heat || String(r.Heat) === filters.heat) &&
+      (!filters.lane || String(r.Lane) === filters.lane)
+    )
+  }, [rows, filters])
+
+  const handleFilterChange = useCallback((e) => {
+    const { name, value } = e.target
+    setFilters(prev => ({ ...prev, [name]: value }))
+  }, [])
+
+  // record is the result as recorded, so previousTime stays the original time
+  const saveOverride = useCallback((record) => {
+    const time = parseFloat(editing.time)
+    if (!(time > 0)) return
+    onChange([...corrections, createCorrection('override', {
+      key: heatResultKey(record),
+      label: describeHeatResult(record),
+      time,
+      previousTime: record.FinishTime,
+      note: editing.note
+    })])
+    setEditing(null)
+  }, [editing, corrections, onChange])
+
+  const saveVoid = useCallback((record) => {
+    onChange([...corrections, createCorrection('void', {
+      key: heatResultKey(record),
+      label: describeHeatResult(record),
+      previousTime: record.FinishTime,
+      note: editing.note
+    })])
+    setEditing(null)
+  }, [editing, corrections, onChange])
+
+  // Drop every correction of the result, back to what the race file recorded
+  const restoreResult = useCallback((key) => {
+    onChange(corrections.filter(c => c.key !== key))
+  }, [corrections, onChange])
+
+  const addResult = useCallback(() => {
+    const racerRecord = racerRecords.find(r => r.KidCarYear === newResult.racer)
+    const time = parseFloat(newResult.FinishTime)
+    if (!racerRecord || !newResult.RoundID || !newResult.Heat || !newResult.Lane || !(time > 0)) return
+    const heat = {
+      RoundID: Number(newResult.RoundID),
+      Heat: Number(newResult.Heat),
+      Lane: Number(newResult.Lane),
+      FinishTime: time
+    }
+    const laneRuns = rows.filter(({ record: r }) =>
+      r.SourceFile === racerRecord.SourceFile && r.OriginalClass === racerRecord.OriginalClass &&
+      Number(r.RoundID) === heat.RoundID && Number(r.Heat) === heat.Heat && Number(r.Lane) === heat.Lane
+    ).length
+    const record = buildAddedRecord(racerRecord, { ...heat, RunIndex: laneRuns })
+    onChange([...corrections, createCorrection('add', {
+      key: heatResultKey(record),
+      label: describeHeatResult(record),
+      record,
+      note: newResult.note
+    })])
+    setNewResult({ racer: '', RoundID: '', Heat: '', Lane: '', FinishTime: '', note: '' })
+  }, [racerRecords, rows, newResult, corrections, onChange])
+
+  const removeCorrection = useCallback((id) => {
+    onChange(corrections.filter(c => c.id !== id))
+  }, [corrections, onChange])
+
+  return (
+    <div>
+      {/* Filters */}
+      <div className="flex flex-wrap gap-2 mb-3">
+        <input
+          type="text"
+          name="racer"
+          placeholder="Scout or car #"
+          value={filters.racer}
+          onChange={handleFilterChange}
+          className={`${inputClass} w-40`}
+        />
+        <select name="className" value={filters.className} onChange={handleFilterChange} className={inputClass}>
+          <option value="">All classes</option>
+          {classNames.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <input
+          type="number"
+          name="heat"
+          placeholder="Heat"
+          value={filters.heat}
+          onChange={handleFilterChange}
+          className={`${inputClass} w-20`}
+        />
+        <input
+          type="number"
+          name="lane"
+          placeholder="Lane"
+          value={filters.lane}
+          onChange={handleFilterChange}
+          className={`${inputClass} w-20`}
+        />
+      </div>
+
+      {/* Heat results */}
+      <div className="border border-gray-200 rounded-lg overflow-hidden mb-2">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="px-3 py-2 text-left">Scout (Car #)</th>
+              <th className="px-3 py-2 text-left">Class</th>
+              <th className="px-3 py-2 text-center">Round</th>
+              <th className="px-3 py-2 text-center">Heat</th>
+              <th className="px-3 py-2 text-center">Lane</th>
+              <th className="px-3 py-2 text-right">Recorded</th>
+              <th className="px-3 py-2 text-right">Corrected</th>
+              <th className="px-3 py-2 w-64"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {filteredRows.slice(0, MAX_ROWS).map(({ key, record, added, corrected, current }) => {
+              const isEditing = editing?.key === key
+              return (
+                <tr key={key} className={`border-t ${corrected ? 'bg-blue-50' : ''}`}>
+                  <td className="px-3 py-2">{record.FirstName} {record.LastName} (#{record.CarNumber})</td>
+                  <td className="px-3 py-2">{record.Class}</td>
+                  <td className="px-3 py-2 text-center">{record.RoundID}</td>
+                  <td className="px-3 py-2 text-center">{record.Heat}</td>
+                  <td className="px-3 py-2 text-center">{record.Lane}</td>
+                  <td className={`px-3 py-2 text-right font-mono ${corrected ? 'text-gray-400' : ''}`}>
+                    {added ? 'added' : record.FinishTime > 0 ? record.FinishTime.toFixed(4) : '-'}
+                  </td>
+                  <td className="px-3 py-2 text-right font-mono" title={current?.Correction}>
+                    {!corrected ? '' : current ? (current.FinishTime > 0 ? current.FinishTime.toFixed(4) : '-') : (
+                      <span className="text-red-600">voided</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2">
+                    {isEditing ? (
+                      <div className="flex gap-1">
+                        {editing.mode === 'override' && (
+                          <input
+                            type="number"
+                            step="0.0001"
+                            value={editing.time}
+                            onChange={(e) => setEditing(prev => ({ ...prev, time: e.target.value }))}
+                            className={`${inputClass} w-20`}
+                            autoFocus
+                          />
+                        )}
+                        <input
+                          type="text"
+                          placeholder="Reason"
+                          value={editing.note}
+                          onChange={(e) => setEditing(prev => ({ ...prev, note: e.target.value }))}
+                          className={`${inputClass} ${editing.mode === 'override' ? 'w-24' : 'w-44'}`}
+                        />
+                        {editing.mode === 'override' ? (
+                          <button type="button" onClick={() => saveOverride(record)} className="text-derby-blue font-medium">Save</button>
+                        ) : (
+                          <button type="button" onClick={() => saveVoid(record)} className="text-red-600 font-medium">Void</button>
+                        )}
+                        <button type="button" onClick={() => setEditing(null)} className="text-gray-500">Cancel</button>
+                      </div>
+                    ) : (
+                      <div className="flex gap-3 justify-end">
+                        {current && !added && (
+                          <>
+                            <button
+                              type="button"
+                              onClick={() => setEditing({ key, mode: 'override', time: current.FinishTime || '', note: '' })}
+                              className="text-derby-blue hover:text-blue-700"
+                            >
+                              Edit time
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => setEditing({ key, mode: 'void', time: '', note: '' })}
+                              className="text-red-600 hover:text-red-800"
+                            >
+                              Void
+                            </button>
+                          </>
+                        )}
+                        {corrected && (
+                          <button
+                            type="button"
+                            onClick={() => restoreResult(key)}
+                            className="text-gray-600 hover:text-gray-800"
+                          >
+                            {added ? 'Remove' : 'Restore'}
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        {filteredRows.length > MAX_ROWS
+          ? `Showing ${MAX_ROWS} of ${filteredRows.length} results - narrow the filters to find a heat.`
+          : `${filteredRows.length} result(s). Corrected results are highlighted; Restore puts back the recorded time.`}
+      </p>
+
+      {/* Add a missing result */}
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <span className="text-sm font-medium text-gray-700">Add missing result:</span>
+        <select
+          value={newResult.racer}
+          onChange={(e) => setNewResult(prev => ({ ...prev, racer: e.target.value }))}
+          className={inputClass}
+        >
+          <option value="">Choose racer...</option>
+          {racerRecords.map(r => (
+            <option key={r.KidCarYear} value={r.KidCarYear}>
+              {r.Class}: {r.FirstName} {r.LastName} (#{r.CarNumber})
+            </option>
+          ))}
+        </select>
+        {['RoundID', 'Heat', 'Lane'].map(field => (
+          <input
+            key={field}
+            type="number"
+            min="1"
+            placeholder={field === 'RoundID' ? 'Round' : field}
+            value={newResult[field]}
+            onChange={(e) => setNewResult(prev => ({ ...prev, [field]: e.target.value }))}
+            className={`${inputClass} w-20`}
+          />
+        ))}
+        <input
+          type="number"
+          step="0.0001"
+          placeholder="Time"
+          value={newResult.FinishTime}
+          onChange={(e) => setNewResult(prev => ({ ...prev, FinishTime: e.target.value }))}
+          className={`${inputClass} w-24`}
+        />
+        <input
+          type="text"
+          placeholder="Reason"
+          value={newResult.note}
+          onChange={(e) => setNewResult(prev => ({ ...prev, note: e.target.value }))}
+          className={`${inputClass} w-32`}
+        />
+        <button type="button" onClick={addResult} className="text-derby-blue hover:text-blue-700 text-sm font-medium">
+          + Add
+        </button>
+      </div>
+
+      {/* Audit trail */}
+      {corrections.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Edit history</h4>
+          <ul className="text-sm space-y-1">
+            {corrections.map(c => (
+              <li key={c.id} className="flex items-start justify-between gap-3 bg-white border border-gray-200 rounded px-3 py-1">
+                <span>
+                  <span className="text-gray-400 mr-2">{new Date(c.editedAt).toLocaleString()}</span>
+                  {describeCorrection(c)}
+                  {c.note && <span className="text-gray-500 italic"> - {c.note}</span>}
+                </span>
+                <button type="button" onClick={() => removeCorrection(c.id)} className="text-red-500 hover:text-red-700">
+                  Undo
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CorrectionEditor
@@ -1,8 +1,39 @@
 import { useCallback, useState } from 'react'
+import { TABULAR_EXTENSIONS } from '../utils/tabularParser'
+import { validateUploadFiles, getFileKey } from '../utils/fileValidation'
+import { PROJECT_EXTENSION } from '../utils/projectFile'
 
-function FileUpload({ onFilesUploaded }) {
+// File types accepted for upload (SQLite databases plus spreadsheets)
+const ACCEPTED_EXTENSIONS = ['.sqlite', '.db', ...TABULAR_EXTENSIONS]
+
+function FileUpload({ onFilesUploaded, savedSession, hasStoredData, onResumeSession, onOpenProject, onClearSession }) {
   const [dragActive, setDragActive] = useState(false)
   const [selectedFiles, setSelectedFiles] = useState([])
+  const [validations, setValidations] = useState({}) // fileKey -> validation summary
+
+  // Run the pre-flight check on newly added files
+  const addFiles = useCallback(async (files) => {
+    setSelectedFiles(prev => [...prev, ...files])
+    try {
+      const summaries = await validateUploadFiles(files)
+      setValidations(prev => {
+        const next = { ...prev }
+        files.forEach((file, i) => {
+          next[getFileKey(file)] = summaries[i]
+        })
+        return next
+      })
+    } catch (err) {
+      // Validation itself failed (e.g. worker crashed) - record it against each file
+      setValidations(prev => {
+        const next = { ...prev }
+        files.forEach(file => {
+          next[getFileKey(file)] = { fileName: file.name, errors: [err.message], warnings: [] }
+        })
+        return next
+      })
+    }
+  }, [])
 
   const handleDrag = useCallback((e) => {
     e.preventDefault()
@@ -20,37 +51,91 @@ function FileUpload({ onFilesUploaded }) {
     setDragActive(false)
     
     const files = [...e.dataTransfer.files].filter(f => 
-      f.name.endsWith('.sqlite') || f.name.endsWith('.db')
+      ACCEPTED_EXTENSIONS.some(ext => f.name.toLowerCase().endsWith(ext))
     )
     if (files.length > 0) {
-      setSelectedFiles(prev => [...prev, ...files])
+      addFiles(files)
     }
-  }, [])
+  }, [addFiles])
 
   const handleFileInput = useCallback((e) => {
     const files = [...e.target.files]
-    setSelectedFiles(prev => [...prev, ...files])
-  }, [])
+    // Reset so the same file can be picked again after removing it
+    e.target.value = ''
+    if (files.length > 0) {
+      addFiles(files)
+    }
+  }, [addFiles])
 
   const removeFile = useCallback((index) => {
     setSelectedFiles(prev => prev.filter((_, i) => i !== index))
   }, [])
 
+  const handleProjectInput = useCallback((e) => {
+    const [file] = e.target.files
+    e.target.value = ''
+    if (file) {
+      onOpenProject(file)
+    }
+  }, [onOpenProject])
+
+  const isValidating = selectedFiles.some(f => !validations[getFileKey(f)])
+  const hasInvalidFiles = selectedFiles.some(f => validations[getFileKey(f)]?.errors.length > 0)
+  const canContinue = selectedFiles.length > 0 && !isValidating && !hasInvalidFiles
+
   const handleContinue = useCallback(() => {
-    if (selectedFiles.length > 0) {
+    if (canContinue) {
       onFilesUploaded(selectedFiles)
     }
-  }, [selectedFiles, onFilesUploaded])
+  }, [canContinue, selectedFiles, onFilesUploaded])
 
   return (
     <div className="max-w-2xl mx-auto">
       <div className="bg-white rounded-lg shadow-md p-8">
         <h2 className="text-xl font-bold text-gray-800 mb-4">Upload Race Data</h2>
         <p className="text-gray-600 mb-6">
-          Upload your SQLite database file(s) from GrandPrix Race Manager. 
-          You can find these in your <code className="bg-gray-100 px-1 rounded">Documents/Lisano Enterprises/GrandPrix Race Manager/Data</code> folder.
+          Upload your SQLite database file(s) from GrandPrix Race Manager or DerbyNet. 
+          GrandPrix Race Manager keeps these in your <code className="bg-gray-100 px-1 rounded">Documents/Lisano Enterprises/GrandPrix Race Manager/Data</code> folder.
+          Results logged in a spreadsheet (CSV or Excel) can be uploaded too.
         </p>
 
+        {/* Resume the report stored from an earlier visit */}
+        {savedSession && (
+          <div className="mb-6 bg-green-50 border border-green-300 rounded p-4">
+            <h3 className="font-medium text-green-800 mb-1">Resume last report</h3>
+            <p className="text-sm text-green-700 mb-3">
+              {savedSession.state?.settings?.title
+                ? `${savedSession.state.settings.title} ${savedSession.state.settings.year || ''}`
+                : savedSession.files.map(f => f.name).join(', ')}
+              {savedSession.state?.savedAt && ` · last saved ${new Date(savedSession.state.savedAt).toLocaleString()}`}
+            </p>
+            <button
+              onClick={onResumeSession}
+              className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition-colors"
+            >
+              Resume
+            </button>
+          </div>
+        )}
+
+        {/* Open a saved project file */}
+        <div className="mb-6 flex items-center justify-between bg-gray-50 border border-gray-200 rounded p-4">
+          <p className="text-sm text-gray-600">
+            Have a project file from last time (or from another parent)? Open it to go straight to the report.
+          </p>
+          <label className="inline-block flex-shrink-0 ml-4">
+            <span className="border border-derby-blue text-derby-blue px-4 py-2 rounded cursor-pointer hover:bg-blue-50 transition-colors">
+              Open Project
+            </span>
+            <input
+              type="file"
+              className="hidden"
+              accept={`${PROJECT_EXTENSION},.json`}
+              onChange={handleProjectInput}
+            />
+          </label>
+        </div>
+
         {/* Drag & Drop Zone */}
         <div
           className={`border-2 border-dashed rounded-lg p-8 text-center transition-colors ${
@@ -66,7 +151,7 @@ function FileUpload({ onFilesUploaded }) {
           <svg className="w-12 h-12 mx-auto text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
           </svg>
-          <p className="text-gray-600 mb-2">Drag and drop SQLite files here, or</p>
+          <p className="text-gray-600 mb-2">Drag and drop SQLite or spreadsheet files here, or</p>
           <label className="inline-block">
             <span className="bg-derby-blue text-white px-4 py-2 rounded cursor-pointer hover:bg-blue-700 transition-colors">
               Browse Files
@@ -74,40 +159,98 @@ function FileUpload({ onFilesUploaded }) {
             <input
               type="file"
               className="hidden"
-              accept=".sqlite,.db"
+              accept={ACCEPTED_EXTENSIONS.join(',')}
               multiple
               onChange={handleFileInput}
             />
           </label>
-          <p className="text-gray-400 text-sm mt-2">Accepts .sqlite and .db files</p>
+          <p className="text-gray-400 text-sm mt-2">Accepts .sqlite, .db, .csv, .xlsx and .xls files</p>
         </div>
 
-        {/* Selected Files List */}
+        {/* Selected Files - one validation summary card per file */}
         {selectedFiles.length > 0 && (
           <div className="mt-6">
             <h3 className="font-medium text-gray-700 mb-2">Selected Files:</h3>
             <ul className="space-y-2">
-              {selectedFiles.map((file, index) => (
-                <li key={index} className="flex items-center justify-between bg-gray-50 p-3 rounded">
-                  <div className="flex items-center">
-                    <svg className="w-5 h-5 text-derby-blue mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4" />
-                    </svg>
-                    <span className="text-gray-800">{file.name}</span>
-                    <span className="text-gray-400 text-sm ml-2">({(file.size / 1024).toFixed(1)} KB)</span>
-                  </div>
-                  <button
-                    onClick={() => removeFile(index)}
-                    className="text-red-500 hover:text-red-700"
-                    title="Remove file"
+              {selectedFiles.map((file, index) => {
+                const summary = validations[getFileKey(file)]
+                const hasErrors = summary?.errors.length > 0
+                const hasWarnings = summary?.warnings.length > 0
+                return (
+                  <li 
+                    key={`${getFileKey(file)}-${index}`} 
+                    className={`p-3 rounded border ${
+                      !summary
+                        ? 'bg-gray-50 border-gray-200'
+                        : hasErrors
+                        ? 'bg-red-50 border-red-300'
+                        : hasWarnings
+                        ? 'bg-amber-50 border-amber-300'
+                        : 'bg-green-50 border-green-300'
+                    }`}
                   >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                    </svg>
-                  </button>
-                </li>
-              ))}
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center">
+                        <svg className="w-5 h-5 text-derby-blue mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4" />
+                        </svg>
+                        <span className="text-gray-800">{file.name}</span>
+                        <span className="text-gray-400 text-sm ml-2">({(file.size / 1024).toFixed(1)} KB)</span>
+                        {summary?.source && (
+                          <span className="text-gray-500 text-xs ml-2">· {summary.source}</span>
+                        )}
+                      </div>
+                      <button
+                        onClick={() => removeFile(index)}
+                        className="text-red-500 hover:text-red-700"
+                        title="Remove file"
+                      >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    </div>
+
+                    {!summary && (
+                      <p className="text-sm text-gray-500 mt-1 ml-7">Checking file...</p>
+                    )}
+
+                    {summary && !hasErrors && (
+                      <div className="text-sm text-gray-600 mt-1 ml-7 flex flex-wrap gap-x-4">
+                        {summary.rowCount !== undefined ? (
+                          <span>{summary.rowCount} rows</span>
+                        ) : (
+                          <>
+                            <span>{summary.racerCount} racers</span>
+                            <span>{summary.classCount} classes</span>
+                            <span>{summary.completedHeatCount} of {summary.heatCount} heats completed</span>
+                            <span className={summary.isFinished ? 'text-green-700' : 'text-amber-700'}>
+                              {summary.isFinished ? '✓ Race finished' : '⚠️ Race in progress'}
+                            </span>
+                          </>
+                        )}
+                      </div>
+                    )}
+
+                    {summary && [...summary.errors, ...summary.warnings].length > 0 && (
+                      <ul className="text-sm mt-1 ml-7">
+                        {summary.errors.map((msg, i) => (
+                          <li key={`e${i}`} className="text-red-700">❌ {msg}</li>
+                        ))}
+                        {summary.warnings.map((msg, i) => (
+                          <li key={`w${i}`} className="text-amber-700">⚠️ {msg}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                )
+              })}
             </ul>
+            {hasInvalidFiles && (
+              <p className="text-sm text-red-700 mt-2">
+                Remove the files marked with errors to continue.
+              </p>
+            )}
           </div>
         )}
 
@@ -121,12 +264,23 @@ function FileUpload({ onFilesUploaded }) {
         </div>
 
         {/* Continue Button */}
-        <div className="mt-6 flex justify-end">
+        <div className="mt-6 flex justify-between items-center">
+          <div>
+            {hasStoredData && (
+              <button
+                onClick={onClearSession}
+                className="text-sm text-gray-500 hover:text-red-600 underline"
+                title="Delete the race files and settings this browser keeps for resuming"
+              >
+                Clear saved data
+              </button>
+            )}
+          </div>
           <button
             onClick={handleContinue}
-            disabled={selectedFiles.length === 0}
+            disabled={!canContinue}
             className={`px-6 py-2 rounded font-medium transition-colors ${
-              selectedFiles.length > 0
+              canContinue
                 ? 'bg-derby-blue text-white hover:bg-blue-700'
                 : 'bg-gray-300 text-gray-500 cursor-not-allowed'
             }`}
@@ -0,0 +1,53 @@
+import { useMemo } from 'react'
+import { buildHeadToHeadMatrix } from '../utils/headToHead'
+
+// Cell shading: row racer ahead, behind, or even against the column racer
+function getCellClass(cell) {
+  if (!cell) return 'bg-gray-800'
+  if (cell.heats === 0) return 'text-gray-300'
+  if (cell.wins > cell.losses) return 'bg-green-100 text-green-800'
+  if (cell.wins < cell.losses) return 'bg-red-100 text-red-800'
+  return 'bg-gray-100 text-gray-700'
+}
+
+function HeadToHead({ className, results }) {
+  const matrix = useMemo(() => buildHeadToHeadMatrix(results || []), [results])
+
+  if (matrix.length < 2) {
+    return null
+  }
+
+  return (
+    <div>
+      <h3 className="text-center font-medium text-gray-800 mb-1">{className}</h3>
+      <table className="results-table w-full text-xs">
+        <thead>
+          <tr>
+            <th className="text-left">Scout (Car Number)</th>
+            {matrix.map(({ racer }) => (
+              <th key={racer.racerId} className="text-center" title={`${racer.firstName} ${racer.lastName}`}>
+                #{racer.carNumber}
+              </th>
+            ))}
+            <th className="text-center">W-L</th>
+          </tr>
+        </thead>
+        <tbody>
+          {matrix.map(({ racer, cells, totals }) => (
+            <tr key={racer.racerId}>
+              <td className="whitespace-nowrap">{racer.firstName} {racer.lastName} (#{racer.carNumber})</td>
+              {cells.map((cell, i) => (
+                <td key={i} className={`text-center font-mono ${getCellClass(cell)}`}>
+                  {cell && (cell.heats > 0 ? `${cell.wins}-${cell.losses}` : '·')}
+                </td>
+              ))}
+              <td className="text-center font-mono font-medium">{totals.wins}-{totals.losses}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default HeadToHead
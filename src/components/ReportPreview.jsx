@@ -2,10 +2,20 @@ import { useRef, useCallback, useState, useMemo } from 'react'
 import ResultsTable from './ResultsTable'
 import HistogramChart from './charts/HistogramChart'
 import SlopeChart from './charts/SlopeChart'
+import LaneBiasChart from './charts/LaneBiasChart'
+import HeadToHead from './HeadToHead'
 import { generatePDF } from '../utils/pdfGenerator'
+import { SPEED_UNITS } from '../utils/speed'
+import { computeAutoAwards } from '../utils/awards'
+import { describeCorrection } from '../utils/corrections'
+import {
+  sortRacerResults, getRankingKey, getAverageKey, getProcessingOptions,
+  RESULT_COLUMNS, DEFAULT_RESULT_COLUMNS
+} from '../utils/dataProcessor'
 
-function ReportPreview({ raceData, settings, onBack }) {
+function ReportPreview({ raceData, settings, onBack, onSaveProject }) {
   const reportRef = useRef(null)
+  const headToHeadRef = useRef(null)
   const [generating, setGenerating] = useState(false)
 
   const handleExportPDF = useCallback(async () => {
@@ -13,7 +23,8 @@ function ReportPreview({ raceData, settings, onBack }) {
     
     setGenerating(true)
     try {
-      await generatePDF(reportRef.current, `${settings.title}_${settings.year}_Results.pdf`)
+      const pages = [reportRef.current, headToHeadRef.current].filter(Boolean)
+      await generatePDF(pages, `${settings.title}_${settings.year}_Results.pdf`)
     } catch (err) {
       console.error('PDF generation failed:', err)
       alert('PDF generation failed. Please try again.')
@@ -26,8 +37,18 @@ function ReportPreview({ raceData, settings, onBack }) {
     window.print()
   }, [])
 
-  // Get the sort key based on avgMethod setting
-  const avgKey = settings.avgMethod === 'allHeats' ? 'avgTime' : 'avgExceptSlowest'
+  // Get the sort key based on avgMethod setting (timeKey is the average shown in charts)
+  const avgKey = getRankingKey(settings.avgMethod)
+  const timeKey = getAverageKey(settings.avgMethod)
+  const { tieBreakers, trackConfig } = getProcessingOptions(settings)
+  const chartUnits = trackConfig.trackLength > 0 ? (settings.chartUnits || 'seconds') : 'seconds'
+  
+  // Optional results columns; speed columns need a track length
+  const resultColumns = useMemo(() => {
+    return (settings.resultColumns || DEFAULT_RESULT_COLUMNS).filter(key =>
+      RESULT_COLUMNS[key] && (!RESULT_COLUMNS[key].needsTrack || trackConfig.trackLength > 0)
+    )
+  }, [settings.resultColumns, trackConfig])
 
   // Use class config if provided, otherwise fall back to raceData.classes
   const orderedClasses = useMemo(() => {
@@ -38,19 +59,17 @@ function ReportPreview({ raceData, settings, onBack }) {
           .map(cfg => ({
             ...cfg,
             // Use key (lowercase name) for resultsByClass lookup
-            results: [...(raceData.resultsByClass[cfg.key] || [])]
-              .sort((a, b) => (a[avgKey] || 0) - (b[avgKey] || 0))
+            results: sortRacerResults(raceData.resultsByClass[cfg.key] || [], avgKey, tieBreakers)
           }))
       : raceData.classes
           .filter(c => !c.name.toLowerCase().includes('sibling'))
           .map(cls => ({
             key: cls.name.toLowerCase(),
             name: cls.name,
-            results: [...(raceData.resultsByClass[cls.name.toLowerCase()] || [])]
-              .sort((a, b) => (a[avgKey] || 0) - (b[avgKey] || 0))
+            results: sortRacerResults(raceData.resultsByClass[cls.name.toLowerCase()] || [], avgKey, tieBreakers)
           }))
     return classList
-  }, [raceData, settings.classConfig, avgKey])
+  }, [raceData, settings.classConfig, avgKey, tieBreakers])
 
   // Separate grand finals from den classes using user-selected grandFinalsKey
   const grandFinalsKey = settings.grandFinalsKey
@@ -61,8 +80,8 @@ function ReportPreview({ raceData, settings, onBack }) {
   // Use the selected grand finals class results
   const grandFinalsData = useMemo(() => {
     if (!grandFinalsClass) return []
-    return [...grandFinalsClass.results].sort((a, b) => (a[avgKey] || 0) - (b[avgKey] || 0))
-  }, [grandFinalsClass, avgKey])
+    return sortRacerResults(grandFinalsClass.results, avgKey, tieBreakers)
+  }, [grandFinalsClass, avgKey, tieBreakers])
 
   // Count unique racers from included classes (excluding grand finals to avoid double-counting)
   const uniqueRacerCount = useMemo(() => {
@@ -75,14 +94,31 @@ function ReportPreview({ raceData, settings, onBack }) {
     return racerIds.size
   }, [denClasses])
 
-  // Build map of racer key (name+car) -> den results for slope chart
-  // Use firstName|lastName|carNumber as key since racerId (KidCarYear) includes class name
+  // Performance awards (computed) followed by the design awards entered in settings
+  const awardRows = useMemo(() => {
+    const autoAwards = computeAutoAwards({
+      countedRecords: raceData.countedRecords,
+      denResults: denClasses.flatMap(cls => cls.results),
+      finalsResults: grandFinalsClass?.results || []
+    }, settings.autoAwards)
+      .map(award => ({
+        category: award.category,
+        winner: `${award.racer.firstName} ${award.racer.lastName} (Car #${award.racer.carNumber})`,
+        carName: award.racer.carName,
+        detail: award.detail
+      }))
+    return [...autoAwards, ...(settings.designAwards || []).filter(a => a.winner)]
+  }, [raceData, denClasses, grandFinalsClass, settings.autoAwards, settings.designAwards])
+  const awardsTitle = awardRows.some(a => a.detail) ? 'Award Winners' : 'Car Design Winners'
+
+  // Build map of racer key -> den results for slope chart
+  // Use the resolved racer key since racerId (KidCarYear) includes class name
   const denResultsByRacer = useMemo(() => {
     const map = {}
     denClasses.forEach(cls => {
       cls.results.forEach(racer => {
-        // Create a key without class name for matching across den and grand finals
-        const key = `${racer.firstName}|${racer.lastName}|${racer.carNumber}`
+        // Key without class name for matching across den and grand finals
+        const key = racer.racerKey
         // Only keep first den result per racer (in case of duplicates)
         if (!map[key]) {
           map[key] = racer
@@ -93,16 +129,14 @@ function ReportPreview({ raceData, settings, onBack }) {
   }, [denClasses])
 
   // Calculate the grand finals winners (top N) that should be excluded from den rankings
-  // Uses racer key (name+car) instead of racerId since racerId includes class name
+  // Uses the racer key instead of racerId since racerId includes class name
   const excludedGrandFinalsWinners = useMemo(() => {
     if (!settings.excludeGrandFinalsWinners || grandFinalsData.length === 0) {
       return []
     }
     const numWinners = settings.numGrandFinalsWinners || 3
-    // Top N racers in grand finals - create keys without class name for matching
-    return grandFinalsData.slice(0, numWinners).map(r => 
-      `${r.firstName}|${r.lastName}|${r.carNumber}`
-    )
+    // Top N racers in grand finals - keys without class name for matching
+    return grandFinalsData.slice(0, numWinners).map(r => r.racerKey)
   }, [grandFinalsData, settings.excludeGrandFinalsWinners, settings.numGrandFinalsWinners])
 
   // Helper to render a layout item
@@ -118,6 +152,7 @@ function ReportPreview({ raceData, settings, onBack }) {
           finalists={raceData.finalists}
           wildcards={raceData.wildcards}
           avgKey={avgKey}
+          columns={resultColumns}
           excludedGrandFinalsWinners={excludedGrandFinalsWinners}
         />
       )
@@ -134,6 +169,7 @@ function ReportPreview({ raceData, settings, onBack }) {
           wildcards={[]}
           showDenOrigin={true}
           avgKey={avgKey}
+          columns={resultColumns}
         />
       )
     }
@@ -149,7 +185,9 @@ function ReportPreview({ raceData, settings, onBack }) {
             <SlopeChart 
               grandFinalsData={grandFinalsData} 
               denResultsByRacer={denResultsByRacer}
-              avgKey={avgKey}
+              avgKey={timeKey}
+              units={chartUnits}
+              trackConfig={trackConfig}
             />
           </div>
         </div>
@@ -157,10 +195,10 @@ function ReportPreview({ raceData, settings, onBack }) {
     }
     
     if (item.type === 'design-awards') {
-      if (!settings.designAwards || !settings.designAwards.some(a => a.winner)) return null
+      if (awardRows.length === 0) return null
       return (
         <div key={item.id}>
-          <h2 className="text-center font-medium text-gray-700 mb-2">Car Design Winners</h2>
+          <h2 className="text-center font-medium text-gray-700 mb-2">{awardsTitle}</h2>
           <table className="results-table mx-auto">
             <thead>
               <tr>
@@ -170,9 +208,12 @@ function ReportPreview({ raceData, settings, onBack }) {
               </tr>
             </thead>
             <tbody>
-              {settings.designAwards.filter(a => a.winner).map((award, i) => (
+              {awardRows.map((award, i) => (
                 <tr key={i}>
-                  <td>{award.category}</td>
+                  <td>
+                    {award.category}
+                    {award.detail && <div className="text-xs text-gray-500">{award.detail}</div>}
+                  </td>
                   <td>{award.winner}</td>
                   <td className="text-right italic">{award.carName}</td>
                 </tr>
@@ -184,7 +225,7 @@ function ReportPreview({ raceData, settings, onBack }) {
     }
     
     return null
-  }, [orderedClasses, grandFinalsData, grandFinalsClass, raceData, avgKey, excludedGrandFinalsWinners, denResultsByRacer, settings.designAwards])
+  }, [orderedClasses, grandFinalsData, grandFinalsClass, raceData, avgKey, timeKey, resultColumns, chartUnits, trackConfig, excludedGrandFinalsWinners, denResultsByRacer, awardRows, awardsTitle])
 
   // Use the layout from settings, or fall back to legacy layout
   const reportLayout = settings.reportLayout
@@ -201,6 +242,15 @@ function ReportPreview({ raceData, settings, onBack }) {
         </button>
         
         <div className="flex gap-3">
+          {onSaveProject && (
+            <button
+              onClick={onSaveProject}
+              className="px-4 py-2 rounded font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+              title="One file with the race data and every setting, to reopen this report later or on another computer"
+            >
+              💾 Save Project
+            </button>
+          )}
           <button
             onClick={handlePrint}
             className="px-4 py-2 rounded font-medium border border-derby-blue text-derby-blue hover:bg-blue-50 transition-colors"
@@ -263,6 +313,7 @@ function ReportPreview({ raceData, settings, onBack }) {
                       finalists={raceData.finalists}
                       wildcards={raceData.wildcards}
                       avgKey={avgKey}
+                      columns={resultColumns}
                       excludedGrandFinalsWinners={excludedGrandFinalsWinners}
                     />
                   ))}
@@ -278,6 +329,7 @@ function ReportPreview({ raceData, settings, onBack }) {
                       finalists={raceData.finalists}
                       wildcards={raceData.wildcards}
                       avgKey={avgKey}
+                      columns={resultColumns}
                       excludedGrandFinalsWinners={excludedGrandFinalsWinners}
                     />
                   ))}
@@ -295,6 +347,7 @@ function ReportPreview({ raceData, settings, onBack }) {
                       wildcards={[]}
                       showDenOrigin={true}
                       avgKey={avgKey}
+                      columns={resultColumns}
                     />
                   </div>
                   <div></div>
@@ -312,7 +365,9 @@ function ReportPreview({ raceData, settings, onBack }) {
                       <SlopeChart 
                         grandFinalsData={grandFinalsData} 
                         denResultsByRacer={denResultsByRacer}
-                        avgKey={avgKey}
+                        avgKey={timeKey}
+                        units={chartUnits}
+                        trackConfig={trackConfig}
                       />
                     </div>
                   </div>
@@ -323,9 +378,9 @@ function ReportPreview({ raceData, settings, onBack }) {
           )}
 
           {/* Design Awards - Only in fallback layout */}
-          {!reportLayout && settings.designAwards && settings.designAwards.some(a => a.winner) && (
+          {!reportLayout && awardRows.length > 0 && (
             <div className="mb-6">
-              <h2 className="text-center font-medium text-gray-700 mb-2">Car Design Winners</h2>
+              <h2 className="text-center font-medium text-gray-700 mb-2">{awardsTitle}</h2>
               <table className="results-table mx-auto">
                 <thead>
                   <tr>
@@ -335,9 +390,12 @@ function ReportPreview({ raceData, settings, onBack }) {
                   </tr>
                 </thead>
                 <tbody>
-                  {settings.designAwards.filter(a => a.winner).map((award, i) => (
+                  {awardRows.map((award, i) => (
                     <tr key={i}>
-                      <td>{award.category}</td>
+                      <td>
+                        {award.category}
+                        {award.detail && <div className="text-xs text-gray-500">{award.detail}</div>}
+                      </td>
                       <td>{award.winner}</td>
                       <td className="text-right italic">{award.carName}</td>
                     </tr>
@@ -350,16 +408,64 @@ function ReportPreview({ raceData, settings, onBack }) {
           {/* Histogram - Full Width */}
           <div className="mb-6">
             <h3 className="text-center font-heading border-b border-black pb-1 mb-3">
-              Histogram of All Finish Times
+              {chartUnits === 'seconds'
+                ? 'Histogram of All Finish Times'
+                : `Histogram of All Heat Speeds (${SPEED_UNITS[chartUnits].label})`}
             </h3>
             <div className="chart-container" style={{ height: '250px' }}>
               <HistogramChart 
                 data={raceData.allTimes} 
                 classes={raceData.classes}
+                units={chartUnits}
+                trackConfig={trackConfig}
               />
             </div>
           </div>
+
+          {/* Lane Analysis - Optional, Full Width */}
+          {settings.showLaneAnalysis && raceData.laneBias?.lanes.length > 0 && (
+            <div className="mb-6">
+              <h3 className="text-center font-heading border-b border-black pb-1 mb-3">
+                Lane Analysis: Offset from Heat Average
+              </h3>
+              <LaneBiasChart laneBias={raceData.laneBias} />
+            </div>
+          )}
+
+          {/* Result Corrections - audit trail of hand edits */}
+          {settings.heatCorrections?.length > 0 && (
+            <div className="mb-2 text-xs text-gray-600">
+              <h3 className="font-heading border-b border-gray-400 pb-1 mb-1">Result Corrections</h3>
+              <ul>
+                {settings.heatCorrections.map(c => (
+                  <li key={c.id}>
+                    {new Date(c.editedAt).toLocaleDateString()}: {describeCorrection(c)}
+                    {c.note && ` - ${c.note}`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
+
+        {/* Head-to-Head Page - Optional */}
+        {settings.showHeadToHead && (
+          <div ref={headToHeadRef} className="report-preview report-page mx-auto bg-white mt-6">
+            <div className="text-center mb-6">
+              <h1 className="text-2xl font-display font-bold text-gray-900">
+                {settings.title} - {settings.year} Head-to-Head
+              </h1>
+              <p className="text-sm font-heading text-gray-600">
+                Wins-losses of each racer (row) against each opponent (column) in heats they ran together
+              </p>
+            </div>
+            <div className="space-y-6">
+              {orderedClasses.map(cls => (
+                <HeadToHead key={cls.key} className={cls.name} results={cls.results} />
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   )
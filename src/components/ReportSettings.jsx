@@ -1,4 +1,16 @@
-import { useState, useCallback, useMemo, useRef } from 'react'
+import { useState, useCallback, useMemo, useRef, useEffect } from 'react'
+import {
+  HEAT_POLICIES, RANKING_METHODS, WILDCARD_POOLS, TIE_BREAKERS, RESULT_COLUMNS, DEFAULT_RESULT_COLUMNS,
+  getProcessingOptions, getRankingKey, sortRacerResults, findFinalsClassKey
+} from '../utils/dataProcessor'
+import { SPEED_UNITS } from '../utils/speed'
+import { OUTLIER_METHODS } from '../utils/outliers'
+import { AUTO_AWARDS, CONSISTENCY_METRICS, getAutoAwardSettings, computeAutoAwards } from '../utils/awards'
+import HeadToHead from './HeadToHead'
+import CorrectionEditor from './CorrectionEditor'
+import { fitLayoutToClasses } from '../utils/templates'
+import { getClassSortIndex } from '../utils/taxonomy'
+import { decideRacerMatch, describeIdentity, matchId } from '../utils/racerIdentity'
 
 const DEFAULT_DESIGN_CATEGORIES = [
   'Most Likely to Win',
@@ -9,34 +21,20 @@ const DEFAULT_DESIGN_CATEGORIES = [
   'Best Use of Decals'
 ]
 
-// Standard den order for Cub Scouts
-const STANDARD_DEN_ORDER = [
-  'lion', 'lions', 'lion den',
-  'tiger', 'tigers', 'tiger den',
-  'wolf', 'wolves', 'wolf den',
-  'bear', 'bears', 'bear den',
-  'webelos', 'webelos den',
-  'arrow of light', 'aol',
-  'grand final', 'grand finals'
-]
-
 // Height per racer in pixels for layout preview (scaled down)
 const HEIGHT_PER_RACER = 8
 const MIN_ITEM_HEIGHT = 24
 const CHART_HEIGHT = 100 // Slope chart
 const DESIGN_AWARD_HEIGHT_PER_ITEM = 12 // Per award winner
 
-function getDenSortOrder(name) {
-  const lower = name.toLowerCase()
-  for (let i = 0; i < STANDARD_DEN_ORDER.length; i++) {
-    if (lower.includes(STANDARD_DEN_ORDER[i])) {
-      return i
-    }
-  }
-  return 999
+// 1 -> "1st", 2 -> "2nd", ...
+function ordinal(n) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' }
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : (suffixes[n % 10] || 'th')
+  return `${n}${suffix}`
 }
 
-function ReportSettings({ raceData, settings, onComplete, onBack }) {
+function ReportSettings({ raceData, settings, onProcessingChange, onDraftChange, onComplete, onBack }) {
   // Debug: log available keys
   console.log('Available resultsByClass keys:', Object.keys(raceData.resultsByClass))
   console.log('Available classes:', raceData.classes.map(c => c.name))
@@ -46,26 +44,26 @@ function ReportSettings({ raceData, settings, onComplete, onBack }) {
   const initialClassConfig = useMemo(() => {
     if (settings.classConfig) return settings.classConfig
     
+    const taxonomy = getProcessingOptions(settings).classTaxonomy
     return [...raceData.classes]
-      .sort((a, b) => getDenSortOrder(a.name) - getDenSortOrder(b.name))
+      .sort((a, b) => getClassSortIndex(a.name, taxonomy) - getClassSortIndex(b.name, taxonomy))
       .map((cls, i) => ({
         key: cls.name.toLowerCase(), // Use lowercase name as stable key
         name: cls.name,
         included: true, // All classes are included (filtering done in mapping step)
         order: i
       }))
-  }, [raceData.classes, settings.classConfig])
+  }, [raceData.classes, settings.classConfig, settings.classTaxonomy])
   
-  // Auto-detect grand finals based on name
+  // Auto-detect grand finals: the taxonomy's finals class, else by name
   const initialGrandFinalsKey = useMemo(() => {
     if (settings.grandFinalsKey) return settings.grandFinalsKey
-    const gf = initialClassConfig.find(c => 
-      c.name.toLowerCase().includes('grand final') || 
-      c.name.toLowerCase().includes('grand prix final')
-    )
-    return gf ? gf.key : null
-  }, [initialClassConfig, settings.grandFinalsKey])
+    return findFinalsClassKey(initialClassConfig, getProcessingOptions(settings).classTaxonomy)
+  }, [initialClassConfig, settings.grandFinalsKey, settings.classTaxonomy])
   
+  // Class whose head-to-head matrix is shown on this screen
+  const [headToHeadKey, setHeadToHeadKey] = useState(initialClassConfig[0]?.key || '')
+
   const [formData, setFormData] = useState({
     title: settings.title || 'Pack Pinewood Derby',
     year: settings.year || new Date().getFullYear(),
@@ -78,7 +76,22 @@ function ReportSettings({ raceData, settings, onComplete, onBack }) {
     })),
     classConfig: initialClassConfig,
     grandFinalsKey: initialGrandFinalsKey,
-    avgMethod: settings.avgMethod || 'dropSlowest', // 'dropSlowest' or 'allHeats'
+    avgMethod: getProcessingOptions(settings).avgMethod, // Key of RANKING_METHODS
+    pointsTable: getProcessingOptions(settings).pointsTable, // Points per finish place (points scoring)
+    heatPolicy: getProcessingOptions(settings).heatPolicy, // How re-run heats are resolved
+    outlierRules: getProcessingOptions(settings).outlierRules, // Plausible time bounds and statistical test
+    excludedResults: getProcessingOptions(settings).excludedResults, // Heat results left out of the statistics
+    heatCorrections: getProcessingOptions(settings).heatCorrections, // Manual edits to heat results (audit trail)
+    tieBreakers: getProcessingOptions(settings).tieBreakers, // Enabled tie-breakers, in the order applied
+    finalsRules: getProcessingOptions(settings).finalsRules, // Who qualifies for the Grand Finals
+    trackConfig: getProcessingOptions(settings).trackConfig, // Track length (ft) and scale factor for speeds
+    classTaxonomy: getProcessingOptions(settings).classTaxonomy, // Class names and order (edited at class mapping)
+    racerMatches: getProcessingOptions(settings).racerMatches, // Confirmed/rejected racer identity matches
+    chartUnits: settings.chartUnits || 'seconds', // Key of SPEED_UNITS for the chart axes
+    resultColumns: settings.resultColumns || DEFAULT_RESULT_COLUMNS, // Optional results table columns
+    showLaneAnalysis: settings.showLaneAnalysis ?? false, // Add the lane bias chart/table to the report
+    showHeadToHead: settings.showHeadToHead ?? false, // Add a head-to-head page to the report
+    autoAwards: getAutoAwardSettings(settings.autoAwards), // Performance awards computed from the times
     excludeGrandFinalsWinners: settings.excludeGrandFinalsWinners ?? true, // Default to true (GrandPrix Race Manager default)
     numGrandFinalsWinners: settings.numGrandFinalsWinners || 3, // Default 3 (top 3 get overall trophies)
     reportLayout: settings.reportLayout || null // Will be initialized below
@@ -135,14 +148,29 @@ function ReportSettings({ raceData, settings, onComplete, onBack }) {
     return { leftColumn: leftItems, rightColumn: rightItems }
   }, [initialClassConfig, initialGrandFinalsKey, raceData.resultsByClass])
 
-  // Initialize layout if not set
+  // Initialize layout if not set; a layout from a template or earlier session is fitted to this race's classes
   useMemo(() => {
-    if (!formData.reportLayout) {
-      const initialLayout = buildInitialLayout()
-      setFormData(prev => ({ ...prev, reportLayout: initialLayout }))
-    }
+    const initialLayout = buildInitialLayout()
+    setFormData(prev => ({
+      ...prev,
+      reportLayout: prev.reportLayout ? fitLayoutToClasses(prev.reportLayout, initialLayout) : initialLayout
+    }))
   }, []) // Only run once on mount
 
+  // Options that change how race data is processed are applied as soon as they change,
+  // so the sanity warnings and results on this screen stay current
+  const processingOptions = useMemo(() => getProcessingOptions(formData), [formData])
+  useEffect(() => {
+    if (JSON.stringify(processingOptions) !== JSON.stringify(getProcessingOptions(settings))) {
+      onProcessingChange(processingOptions)
+    }
+  }, [processingOptions, settings, onProcessingChange])
+
+  // Unsubmitted edits are kept with the saved session
+  useEffect(() => {
+    onDraftChange?.(formData)
+  }, [formData, onDraftChange])
+
   // Drag state
   const dragItem = useRef(null)
   const [isDragging, setIsDragging] = useState(false)
@@ -265,6 +293,136 @@ function ReportSettings({ raceData, settings, onComplete, onBack }) {
     setFormData(prev => ({ ...prev, [name]: value }))
   }, [])
 
+  const handlePointsChange = useCallback((index, value) => {
+    setFormData(prev => ({
+      ...prev,
+      pointsTable: prev.pointsTable.map((pts, i) => i === index ? (parseInt(value) || 0) : pts)
+    }))
+  }, [])
+
+  const addPointsPlace = useCallback(() => {
+    setFormData(prev => ({ ...prev, pointsTable: [...prev.pointsTable, 0] }))
+  }, [])
+
+  const removePointsPlace = useCallback(() => {
+    setFormData(prev => ({ ...prev, pointsTable: prev.pointsTable.slice(0, -1) }))
+  }, [])
+
+  const handleTrackConfigChange = useCallback((field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      trackConfig: { ...prev.trackConfig, [field]: parseFloat(value) || 0 }
+    }))
+  }, [])
+
+  const handleAutoAwardChange = useCallback((awardKey, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      autoAwards: {
+        ...prev.autoAwards,
+        [awardKey]: { ...prev.autoAwards[awardKey], [field]: value }
+      }
+    }))
+  }, [])
+
+  const handleOutlierRuleChange = useCallback((field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      outlierRules: { ...prev.outlierRules, [field]: field === 'method' ? value : parseFloat(value) || 0 }
+    }))
+  }, [])
+
+  const toggleExcludedResult = useCallback((key) => {
+    setFormData(prev => ({
+      ...prev,
+      excludedResults: prev.excludedResults.includes(key)
+        ? prev.excludedResults.filter(k => k !== key)
+        : [...prev.excludedResults, key]
+    }))
+  }, [])
+
+  const clearUnmatchedExclusions = useCallback(() => {
+    const unmatched = new Set(raceData.unmatchedExclusions)
+    setFormData(prev => ({ ...prev, excludedResults: prev.excludedResults.filter(k => !unmatched.has(k)) }))
+  }, [raceData.unmatchedExclusions])
+
+  const handleCorrectionsChange = useCallback((heatCorrections) => {
+    setFormData(prev => ({ ...prev, heatCorrections }))
+  }, [])
+
+  const handleRacerMatch = useCallback((keys, merged) => {
+    setFormData(prev => ({ ...prev, racerMatches: decideRacerMatch(prev.racerMatches, keys, merged) }))
+  }, [])
+
+  const undoRacerMatch = useCallback((keys) => {
+    setFormData(prev => ({ ...prev, racerMatches: prev.racerMatches.filter(m => matchId(m.keys) !== matchId(keys)) }))
+  }, [])
+
+  const toggleResultColumn = useCallback((key) => {
+    setFormData(prev => ({
+      ...prev,
+      // Keep columns in RESULT_COLUMNS order regardless of click order
+      resultColumns: prev.resultColumns.includes(key)
+        ? prev.resultColumns.filter(k => k !== key)
+        : Object.keys(RESULT_COLUMNS).filter(k => k === key || prev.resultColumns.includes(k))
+    }))
+  }, [])
+
+  const toggleTieBreaker = useCallback((key) => {
+    setFormData(prev => ({
+      ...prev,
+      tieBreakers: prev.tieBreakers.includes(key)
+        ? prev.tieBreakers.filter(k => k !== key)
+        : [...prev.tieBreakers, key]
+    }))
+  }, [])
+
+  const moveTieBreaker = useCallback((key, direction) => {
+    setFormData(prev => {
+      const order = [...prev.tieBreakers]
+      const from = order.indexOf(key)
+      const to = from + direction
+      if (from < 0 || to < 0 || to >= order.length) return prev
+      order.splice(from, 1)
+      order.splice(to, 0, key)
+      return { ...prev, tieBreakers: order }
+    })
+  }, [])
+
+  const handleFinalsRuleChange = useCallback((field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      finalsRules: { ...prev.finalsRules, [field]: value }
+    }))
+  }, [])
+
+  const toggleFinalsExclusion = useCallback((classKey) => {
+    setFormData(prev => {
+      const excluded = prev.finalsRules.excludedClasses
+      return {
+        ...prev,
+        finalsRules: {
+          ...prev.finalsRules,
+          excludedClasses: excluded.includes(classKey)
+            ? excluded.filter(k => k !== classKey)
+            : [...excluded, classKey]
+        }
+      }
+    })
+  }, [])
+
+  // Current performance award winners from the included den classes
+  const autoAwardWinners = useMemo(() => {
+    const denResults = formData.classConfig
+      .filter(cls => cls.key !== formData.grandFinalsKey)
+      .flatMap(cls => raceData.resultsByClass[cls.key] || [])
+    return computeAutoAwards({
+      countedRecords: raceData.countedRecords,
+      denResults,
+      finalsResults: raceData.resultsByClass[formData.grandFinalsKey] || []
+    }, formData.autoAwards)
+  }, [formData.classConfig, formData.grandFinalsKey, formData.autoAwards, raceData])
+
   const handleAwardChange = useCallback((index, field, value) => {
     setFormData(prev => ({
       ...prev,
@@ -293,8 +451,8 @@ function ReportSettings({ raceData, settings, onComplete, onBack }) {
     onComplete(formData)
   }, [formData, onComplete])
 
-  // Get the averaging key based on method
-  const avgKey = formData.avgMethod === 'allHeats' ? 'avgTime' : 'avgExceptSlowest'
+  // Get the ranking key based on method
+  const avgKey = getRankingKey(formData.avgMethod)
 
   // Get deduplicated list of racers for autocomplete (by name)
   // Also build a map of name -> racer info for auto-filling car details
@@ -348,10 +506,9 @@ function ReportSettings({ raceData, settings, onComplete, onBack }) {
     const results = raceData.resultsByClass[classKey] || []
     if (results.length === 0) return null
     
-    // Sort by the selected avg method
-    const sorted = [...results].sort((a, b) => (a[avgKey] || 0) - (b[avgKey] || 0))
-    return sorted[0]
-  }, [raceData.resultsByClass, avgKey])
+    // Sort by the selected avg method (final round first for multi-round classes)
+    return sortRacerResults(results, avgKey, formData.tieBreakers)[0]
+  }, [raceData.resultsByClass, avgKey, formData.tieBreakers])
 
   return (
     <div className="max-w-5xl mx-auto">
@@ -416,38 +573,629 @@ function ReportSettings({ raceData, settings, onComplete, onBack }) {
           </div>
         </div>
 
-        {/* Average Calculation Method */}
+        {/* Ranking Method */}
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-8">
-          <h3 className="font-medium text-gray-700 mb-3">Average Time Calculation</h3>
-          <div className="flex gap-6">
-            <label className="flex items-center gap-2 cursor-pointer">
+          <h3 className="font-medium text-gray-700 mb-3">Ranking Method</h3>
+          <div className="flex flex-wrap gap-6">
+            {Object.entries(RANKING_METHODS).map(([value, method]) => (
+              <label key={value} className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="radio"
+                  name="avgMethod"
+                  value={value}
+                  checked={formData.avgMethod === value}
+                  onChange={handleInputChange}
+                  className="text-derby-blue"
+                />
+                <span>{method.label}</span>
+              </label>
+            ))}
+          </div>
+          <p className="text-sm text-gray-500 mt-2">
+            "Drop slowest" excludes each racer's worst time, matching official scoring.
+            "Points" totals the points for each heat's finish place; ties go to the faster average.
+          </p>
+
+          {formData.avgMethod === 'points' && (
+            <div className="mt-4">
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Points per Heat</h4>
+              <div className="flex flex-wrap items-end gap-3">
+                {formData.pointsTable.map((pts, index) => (
+                  <div key={index}>
+                    <label className="block text-xs text-gray-500 mb-1">{ordinal(index + 1)}</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={pts}
+                      onChange={(e) => handlePointsChange(index, e.target.value)}
+                      className="w-16 border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-derby-blue"
+                    />
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={addPointsPlace}
+                  className="text-sm text-derby-blue hover:text-blue-700"
+                >
+                  + Place
+                </button>
+                {formData.pointsTable.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={removePointsPlace}
+                    className="text-sm text-gray-500 hover:text-red-600"
+                  >
+                    − Place
+                  </button>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Places without a value (e.g. a DNF or a lane beyond the table) score 0.
+              </p>
+            </div>
+          )}
+        </div>
+
+        {/* Tie-Breakers */}
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-8">
+          <h3 className="font-medium text-gray-700 mb-3">Tie-Breakers</h3>
+          <p className="text-sm text-gray-500 mb-3">
+            Racers with the same result to the displayed precision are tied. Checked rules are applied top to bottom
+            until the tie is broken; ties that remain share the place.
+          </p>
+          <div className="space-y-2">
+            {[
+              ...formData.tieBreakers,
+              ...Object.keys(TIE_BREAKERS).filter(key => !formData.tieBreakers.includes(key))
+            ].map(key => {
+              const position = formData.tieBreakers.indexOf(key)
+              const enabled = position >= 0
+              return (
+                <div key={key} className="flex items-center gap-3">
+                  <label className="flex items-center gap-2 cursor-pointer w-56">
+                    <input
+                      type="checkbox"
+                      checked={enabled}
+                      onChange={() => toggleTieBreaker(key)}
+                      className="w-4 h-4 text-derby-blue rounded"
+                    />
+                    <span className={enabled ? '' : 'text-gray-400'}>
+                      {enabled && `${position + 1}. `}{TIE_BREAKERS[key]}
+                    </span>
+                  </label>
+                  {enabled && (
+                    <div className="flex gap-1">
+                      <button
+                        type="button"
+                        onClick={() => moveTieBreaker(key, -1)}
+                        disabled={position === 0}
+                        className="px-2 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                        title="Apply earlier"
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => moveTieBreaker(key, 1)}
+                        disabled={position === formData.tieBreakers.length - 1}
+                        className="px-2 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                        title="Apply later"
+                      >
+                        ↓
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        </div>
+
+        {/* Re-run Heat Policy */}
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-8">
+          <h3 className="font-medium text-gray-700 mb-3">Re-run Heats</h3>
+          <div className="flex flex-wrap gap-6">
+            {Object.entries(HEAT_POLICIES).map(([value, label]) => (
+              <label key={value} className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="radio"
+                  name="heatPolicy"
+                  value={value}
+                  checked={formData.heatPolicy === value}
+                  onChange={handleInputChange}
+                  className="text-derby-blue"
+                />
+                <span>{label}{value === 'latest' && ' (recommended)'}</span>
+              </label>
+            ))}
+          </div>
+          <p className="text-sm text-gray-500 mt-2">
+            When a lane has more than one recorded time for the same heat, this decides which time counts.
+            Re-runs, unfinished heats and DNFs are listed in the warnings above.
+          </p>
+        </div>
+
+        {/* Suspicious Times */}
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-8">
+          <h3 className="font-medium text-gray-700 mb-3">Suspicious Times</h3>
+          <div className="flex flex-wrap items-end gap-4 mb-3 text-sm">
+            <div>
+              <label className="block font-medium text-gray-700 mb-1">Fastest plausible (s)</label>
               <input
-                type="radio"
-                name="avgMethod"
-                value="dropSlowest"
-                checked={formData.avgMethod === 'dropSlowest'}
-                onChange={handleInputChange}
-                className="text-derby-blue"
+                type="number"
+                min="0"
+                step="0.1"
+                value={formData.outlierRules.minTime}
+                onChange={(e) => handleOutlierRuleChange('minTime', e.target.value)}
+                className="w-20 border border-gray-300 rounded px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-derby-blue"
               />
-              <span>Drop slowest heat (recommended)</span>
-            </label>
-            <label className="flex items-center gap-2 cursor-pointer">
+            </div>
+            <div>
+              <label className="block font-medium text-gray-700 mb-1">Slowest plausible (s)</label>
               <input
-                type="radio"
-                name="avgMethod"
-                value="allHeats"
-                checked={formData.avgMethod === 'allHeats'}
-                onChange={handleInputChange}
-                className="text-derby-blue"
+                type="number"
+                min="0"
+                step="0.5"
+                value={formData.outlierRules.maxTime}
+                onChange={(e) => handleOutlierRuleChange('maxTime', e.target.value)}
+                className="w-20 border border-gray-300 rounded px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-derby-blue"
               />
-              <span>Average all heats</span>
-            </label>
+            </div>
+            <div>
+              <label className="block font-medium text-gray-700 mb-1">Within-class test</label>
+              <select
+                value={formData.outlierRules.method}
+                onChange={(e) => handleOutlierRuleChange('method', e.target.value)}
+                className="border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-derby-blue"
+              >
+                {Object.entries(OUTLIER_METHODS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {formData.outlierRules.method === 'iqr' && (
+              <div>
+                <label className="block font-medium text-gray-700 mb-1">IQR multiplier</label>
+                <input
+                  type="number"
+                  min="0.5"
+                  step="0.5"
+                  value={formData.outlierRules.iqrMultiplier}
+                  onChange={(e) => handleOutlierRuleChange('iqrMultiplier', e.target.value)}
+                  className="w-20 border border-gray-300 rounded px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-derby-blue"
+                />
+              </div>
+            )}
+            {formData.outlierRules.method === 'zScore' && (
+              <div>
+                <label className="block font-medium text-gray-700 mb-1">Z-score threshold</label>
+                <input
+                  type="number"
+                  min="1"
+                  step="0.5"
+                  value={formData.outlierRules.zThreshold}
+                  onChange={(e) => handleOutlierRuleChange('zThreshold', e.target.value)}
+                  className="w-20 border border-gray-300 rounded px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-derby-blue"
+                />
+              </div>
+            )}
           </div>
+          {raceData.resultReview?.length > 0 ? (
+            <div className="border border-gray-200 rounded-lg overflow-hidden">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-3 py-2 text-center w-20">Exclude</th>
+                    <th className="px-3 py-2 text-left">Scout (Car #)</th>
+                    <th className="px-3 py-2 text-left">Heat</th>
+                    <th className="px-3 py-2 text-center">Lane</th>
+                    <th className="px-3 py-2 text-right">Time</th>
+                    <th className="px-3 py-2 text-left">Why</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {raceData.resultReview.map(({ key, record, kind, reason, excluded }) => (
+                    <tr key={key} className={`border-t ${excluded ? 'text-gray-400' : kind === 'implausible' ? 'bg-red-50' : ''}`}>
+                      <td className="px-3 py-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={excluded}
+                          onChange={() => toggleExcludedResult(key)}
+                          className="w-4 h-4 text-derby-blue rounded"
+                        />
+                      </td>
+                      <td className="px-3 py-2">{record.FirstName} {record.LastName} (#{record.CarNumber})</td>
+                      <td className="px-3 py-2">{record.Class} round {record.RoundID}, heat {record.Heat}</td>
+                      <td className="px-3 py-2 text-center">{record.Lane}</td>
+                      <td className={`px-3 py-2 text-right font-mono ${excluded ? 'line-through' : ''}`}>{record.FinishTime.toFixed(4)}</td>
+                      <td className="px-3 py-2">{reason}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">No suspicious times found.</p>
+          )}
+          {raceData.unmatchedExclusions?.length > 0 && (
+            <p className="text-sm text-amber-700 mt-2">
+              ⚠️ {raceData.unmatchedExclusions.length} excluded result(s) no longer match a heat result.{' '}
+              <button type="button" onClick={clearUnmatchedExclusions} className="underline hover:text-amber-900">
+                Clear them
+              </button>
+            </p>
+          )}
           <p className="text-sm text-gray-500 mt-2">
-            "Drop slowest" excludes each racer's worst time, matching official scoring.
+            Times outside the plausible range are always flagged; the within-class test flags times far from the
+            rest of their class. Flagged times count until excluded, and excluded heats leave the racer's average
+            and every other statistic.
+          </p>
+        </div>
+
+        {/* Manual Corrections */}
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-8">
+          <h3 className="font-medium text-gray-700 mb-3">Result Corrections</h3>
+          <p className="text-sm text-gray-500 mb-3">
+            Enter official results that differ from the race file: override a time, void a result, or add a heat
+            result that was never recorded. Corrections carry into the statistics, the report and the CSV export,
+            and every edit is kept in the history below.
+          </p>
+          <CorrectionEditor
+            records={raceData.mappedData}
+            correctedRecords={raceData.mergedData}
+            corrections={formData.heatCorrections}
+            onChange={handleCorrectionsChange}
+          />
+        </div>
+
+        {/* Racer Matching */}
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-8">
+          <h3 className="font-medium text-gray-700 mb-3">Racer Matching</h3>
+          <p className="text-sm text-gray-500 mb-3">
+            Racers are matched across files and classes by name and car number. When the spelling differs
+            (e.g. "Jon Smith #12" in the den file and "Jonathan Smith #12" in the finals), merge the two so the
+            slope chart, awards and Grand Finals exclusion treat them as one racer.
+          </p>
+          {raceData.proposedMatches?.length > 0 ? (
+            <div className="border border-gray-200 rounded-lg overflow-hidden mb-3">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-3 py-2 text-left">Racer</th>
+                    <th className="px-3 py-2 text-left">Possibly the same as</th>
+                    <th className="px-3 py-2 text-left">Why</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {raceData.proposedMatches.map(match => (
+                    <tr key={match.id} className="border-t">
+                      {match.identities.map(identity => (
+                        <td key={identity.key} className="px-3 py-2">
+                          {identity.name}
+                          <span className="block text-xs text-gray-500">
+                            {identity.classes.join(', ')} · {identity.heatCount} heat(s)
+                          </span>
+                        </td>
+                      ))}
+                      <td className="px-3 py-2">{match.reasons.join(', ')}</td>
+                      <td className="px-3 py-2 text-right whitespace-nowrap">
+                        <button
+                          type="button"
+                          onClick={() => handleRacerMatch(match.keys, true)}
+                          className="text-derby-blue hover:text-blue-700 font-medium mr-3"
+                        >
+                          Merge
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleRacerMatch(match.keys, false)}
+                          className="text-gray-600 hover:text-gray-800"
+                        >
+                          Different racers
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600 mb-3">No likely duplicate racers found.</p>
+          )}
+          {formData.racerMatches.length > 0 && (
+            <ul className="text-sm text-gray-700 space-y-1">
+              {formData.racerMatches.map(match => (
+                <li key={matchId(match.keys)} className="flex items-center justify-between gap-3">
+                  <span>
+                    {match.keys.map(describeIdentity).join(match.merged ? ' = ' : ' ≠ ')}
+                    <span className="text-gray-500 ml-2">({match.merged ? 'merged' : 'kept separate'})</span>
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => undoRacerMatch(match.keys)}
+                    className="text-derby-blue hover:text-blue-700"
+                  >
+                    Undo
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Lane Bias */}
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-8">
+          <h3 className="font-medium text-gray-700 mb-3">Lane Analysis</h3>
+          {raceData.laneBias?.fastestLane != null ? (
+            <p className="text-sm text-gray-600 mb-3">
+              Across {raceData.laneBias.heatCount} heats, lane {raceData.laneBias.fastestLane} ran fastest and
+              lane {raceData.laneBias.slowestLane} slowest, {(raceData.laneBias.spread * 1000).toFixed(1)} ms apart on average.
+              The "Lane-corrected average" ranking method removes this difference from every time.
+            </p>
+          ) : (
+            <p className="text-sm text-gray-600 mb-3">Not enough multi-car heats to measure lane bias.</p>
+          )}
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              name="showLaneAnalysis"
+              checked={formData.showLaneAnalysis}
+              onChange={(e) => setFormData(prev => ({ ...prev, showLaneAnalysis: e.target.checked }))}
+              className="w-4 h-4 text-derby-blue rounded"
+            />
+            <span>Include lane analysis in the report</span>
+          </label>
+        </div>
+
+        {/* Grand Finals Qualification Rules */}
+        {formData.grandFinalsKey && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-8">
+            <h3 className="font-medium text-gray-700 mb-3">Grand Finals Qualification</h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Top racers per den</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={formData.finalsRules.topPerDen}
+                  onChange={(e) => handleFinalsRuleChange('topPerDen', parseInt(e.target.value) || 0)}
+                  className="w-20 border border-gray-300 rounded px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-derby-blue"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Finals size</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.finalsRules.finalsSize}
+                  onChange={(e) => handleFinalsRuleChange('finalsSize', parseInt(e.target.value) || 1)}
+                  className="w-20 border border-gray-300 rounded px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-derby-blue"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Max wildcards per den</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={formData.finalsRules.maxWildcardsPerDen}
+                  onChange={(e) => handleFinalsRuleChange('maxWildcardsPerDen', parseInt(e.target.value) || 0)}
+                  className="w-20 border border-gray-300 rounded px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-derby-blue"
+                />
+                <span className="text-xs text-gray-500 ml-2">0 = no limit</span>
+              </div>
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Wildcard spots go to</label>
+              <div className="flex flex-wrap gap-6">
+                {Object.entries(WILDCARD_POOLS).map(([value, label]) => (
+                  <label key={value} className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="wildcardPool"
+                      value={value}
+                      checked={formData.finalsRules.wildcardPool === value}
+                      onChange={() => handleFinalsRuleChange('wildcardPool', value)}
+                      className="text-derby-blue"
+                    />
+                    <span>{label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="mb-3">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Dens that send racers to the finals</label>
+              <div className="flex flex-wrap gap-4">
+                {formData.classConfig.filter(cls => cls.key !== formData.grandFinalsKey).map(cls => (
+                  <label key={cls.key} className="flex items-center gap-2 cursor-pointer text-sm">
+                    <input
+                      type="checkbox"
+                      checked={!formData.finalsRules.excludedClasses.includes(cls.key)}
+                      onChange={() => toggleFinalsExclusion(cls.key)}
+                      className="w-4 h-4 text-derby-blue rounded"
+                    />
+                    <span>{cls.name}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <p className="text-sm text-gray-600">
+              {raceData.finalists.length} automatic qualifier{raceData.finalists.length !== 1 ? 's' : ''} and{' '}
+              {raceData.wildcards.length} wildcard{raceData.wildcards.length !== 1 ? 's' : ''} are marked in the den results.
+            </p>
+          </div>
+        )}
+
+        {/* Track & Speed */}
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-8">
+          <h3 className="font-medium text-gray-700 mb-3">Track &amp; Speed</h3>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Track length (ft)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={formData.trackConfig.trackLength}
+                onChange={(e) => handleTrackConfigChange('trackLength', e.target.value)}
+                className="w-24 border border-gray-300 rounded px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-derby-blue"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Scale factor</label>
+              <input
+                type="number"
+                min="1"
+                value={formData.trackConfig.scaleFactor}
+                onChange={(e) => handleTrackConfigChange('scaleFactor', e.target.value)}
+                className="w-24 border border-gray-300 rounded px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-derby-blue"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Chart axis</label>
+              <select
+                name="chartUnits"
+                value={formData.chartUnits}
+                onChange={handleInputChange}
+                disabled={!(formData.trackConfig.trackLength > 0)}
+                className="border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-derby-blue"
+              >
+                {Object.entries(SPEED_UNITS).map(([value, unit]) => (
+                  <option key={value} value={value}>{unit.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="text-sm text-gray-500">
+            Speeds are the track length over the time; scale speed multiplies by the scale factor
+            (a pinewood car is about 1:25). Set the track length to 0 to turn speeds off.
           </p>
         </div>
 
+        {/* Results Table Columns */}
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-8">
+          <h3 className="font-medium text-gray-700 mb-3">Results Columns</h3>
+          <p className="text-sm text-gray-500 mb-3">
+            Each results table always shows the place, scout and average. Pick the extra columns to include.
+          </p>
+          <div className="flex flex-wrap gap-4">
+            {Object.entries(RESULT_COLUMNS).map(([key, column]) => {
+              const unavailable = column.needsTrack && !(formData.trackConfig.trackLength > 0)
+              return (
+                <label key={key} className={`flex items-center gap-2 text-sm ${unavailable ? 'text-gray-400' : 'cursor-pointer'}`}>
+                  <input
+                    type="checkbox"
+                    checked={formData.resultColumns.includes(key) && !unavailable}
+                    disabled={unavailable}
+                    onChange={() => toggleResultColumn(key)}
+                    className="w-4 h-4 text-derby-blue rounded"
+                  />
+                  <span>{column.label}</span>
+                </label>
+              )
+            })}
+          </div>
+        </div>
+
+        {/* Head-to-Head Records */}
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-8">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="font-medium text-gray-700">Head-to-Head Records</h3>
+            <select
+              value={headToHeadKey}
+              onChange={(e) => setHeadToHeadKey(e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-derby-blue"
+            >
+              {formData.classConfig.map(cls => (
+                <option key={cls.key} value={cls.key}>{cls.name}</option>
+              ))}
+            </select>
+          </div>
+          <p className="text-sm text-gray-500 mb-3">
+            Wins-losses of each row racer against each column racer in heats they ran together.
+          </p>
+          <div className="overflow-x-auto mb-3">
+            <HeadToHead
+              className={formData.classConfig.find(c => c.key === headToHeadKey)?.name}
+              results={raceData.resultsByClass[headToHeadKey]}
+            />
+          </div>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              name="showHeadToHead"
+              checked={formData.showHeadToHead}
+              onChange={(e) => setFormData(prev => ({ ...prev, showHeadToHead: e.target.checked }))}
+              className="w-4 h-4 text-derby-blue rounded"
+            />
+            <span>Include a head-to-head page in the report</span>
+          </label>
+        </div>
+
+        {/* Performance Awards */}
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-8">
+          <h3 className="font-medium text-gray-700 mb-3">Performance Awards</h3>
+          <p className="text-sm text-gray-500 mb-3">
+            Awarded automatically from the race data. Checked awards are listed ahead of the design awards in the report.
+          </p>
+          <div className="space-y-3">
+            {Object.entries(AUTO_AWARDS).map(([key, award]) => {
+              const options = formData.autoAwards[key]
+              const winners = autoAwardWinners.filter(a => a.key === key)
+              return (
+                <div key={key} className="bg-white border border-gray-200 rounded p-3">
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={options.enabled}
+                      onChange={(e) => handleAutoAwardChange(key, 'enabled', e.target.checked)}
+                      className="w-4 h-4 text-derby-blue rounded"
+                    />
+                    <span className="font-medium">{award.label}</span>
+                  </label>
+                  {options.enabled && key === 'mostConsistent' && (
+                    <div className="flex flex-wrap items-center gap-4 mt-2 ml-6 text-sm">
+                      <select
+                        value={options.metric}
+                        onChange={(e) => handleAutoAwardChange(key, 'metric', e.target.value)}
+                        className="border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-derby-blue"
+                      >
+                        {Object.entries(CONSISTENCY_METRICS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                      <label className="flex items-center gap-2 text-gray-600">
+                        Minimum heats
+                        <input
+                          type="number"
+                          min="2"
+                          value={options.minHeats}
+                          onChange={(e) => handleAutoAwardChange(key, 'minHeats', parseInt(e.target.value) || 2)}
+                          className="w-16 border border-gray-300 rounded px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-derby-blue"
+                        />
+                      </label>
+                    </div>
+                  )}
+                  {options.enabled && (
+                    <div className="text-sm text-gray-600 mt-2 ml-6">
+                      {winners.length === 0 && <p>No racer qualifies yet</p>}
+                      {winners.map((winner, i) => (
+                        <p key={i}>
+                          {winners.length > 1 && `${winner.category}: `}
+                          {winner.racer.firstName} {winner.racer.lastName} (Car #{winner.racer.carNumber}) · {winner.detail}
+                        </p>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        </div>
+
         {/* Exclude Grand Finals Winners from Den Rankings */}
         <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-8">
           <h3 className="font-medium text-gray-700 mb-3">Grand Finals Winner Exclusion</h3>
@@ -532,8 +1280,8 @@ function ReportSettings({ raceData, settings, onComplete, onBack }) {
           </p>
           
           {formData.reportLayout && (() => {
-            // Calculate number of design awards with winners for height
-            const filledAwardsCount = formData.designAwards.filter(a => a.winner).length
+            // Calculate number of awards with winners (performance + design) for height
+            const filledAwardsCount = autoAwardWinners.length + formData.designAwards.filter(a => a.winner).length
             const designAwardsHeight = Math.max(MIN_ITEM_HEIGHT, filledAwardsCount * DESIGN_AWARD_HEIGHT_PER_ITEM)
             
             // Helper to get item height
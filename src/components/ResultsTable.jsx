@@ -1,3 +1,5 @@
+import { getRankingValue, isTied, RANKING_DECIMALS, RESULT_COLUMNS, DEFAULT_RESULT_COLUMNS } from '../utils/dataProcessor'
+
 function ResultsTable({ 
   className, 
   results, 
@@ -5,19 +7,26 @@ function ResultsTable({
   wildcards = [], 
   showDenOrigin = false, 
   avgKey = 'avgExceptSlowest',
+  columns = DEFAULT_RESULT_COLUMNS,  // Optional columns after the average (keys of RESULT_COLUMNS)
   excludedGrandFinalsWinners = []  // Array of racer keys (name|carNumber) who won grand finals
 }) {
   if (!results || results.length === 0) {
     return null
   }
 
+  // Classes run as elimination rounds show which round each racer reached
+  const showRound = results.some(r => r.classRoundCount > 1)
+
+  // Points scoring ranks on points but still shows each racer's average time
+  const showPoints = avgKey === 'points'
+  const timeKey = showPoints ? 'avgExceptSlowest' : avgKey
+
   const isFinalist = (racerId) => finalists.includes(racerId)
   const isWildcard = (racerId) => wildcards.includes(racerId)
   
   // Check if a racer is a grand finals winner (excluded from den rankings)
   const isGrandFinalsWinner = (racer) => {
-    const key = `${racer.firstName}|${racer.lastName}|${racer.carNumber}`
-    return excludedGrandFinalsWinners.includes(key)
+    return excludedGrandFinalsWinners.includes(racer.racerKey)
   }
 
   // Calculate adjusted places - grand finals winners are skipped for 1st/2nd/3rd
@@ -34,6 +43,15 @@ function ResultsTable({
     if (isGrandFinalsWinner(results[index])) {
       return null
     }
+    // A tie no tie-breaker could separate shares the place of the racer ahead
+    const racer = results[index]
+    if (racer.tie && !racer.tie.reason) {
+      let prevIndex = index - 1
+      while (prevIndex >= 0 && isGrandFinalsWinner(results[prevIndex])) prevIndex--
+      if (prevIndex >= 0 && isTied(results[prevIndex], racer, avgKey)) {
+        return getAdjustedPlace(prevIndex, results)
+      }
+    }
     // Adjusted place = index - GF winners before + 1
     return index - gfWinnersBefore + 1
   }
@@ -47,9 +65,12 @@ function ResultsTable({
             <th className="w-8"></th>
             <th className="w-4"></th>
             <th className="text-left">Scout (Car Number)</th>
+            {showRound && <th className="text-center">Round</th>}
+            {showPoints && <th className="text-center">Pts</th>}
             <th className="text-center">Avg</th>
-            <th className="text-center">Best</th>
-            <th className="text-center">Worst</th>
+            {columns.map(key => (
+              <th key={key} className="text-center">{RESULT_COLUMNS[key]?.header}</th>
+            ))}
           </tr>
         </thead>
         <tbody>
@@ -66,8 +87,8 @@ function ResultsTable({
                   ? 'wildcard' 
                   : ''
             
-            // Use the specified average key
-            const avgTime = racer[avgKey] || racer.avgTime || 0
+            // Use the specified average key, from the round that decided placement
+            const avgTime = getRankingValue(racer, timeKey) || racer.avgTime || 0
             
             return (
               <tr key={racer.racerId} className={gfWinner ? 'opacity-60' : ''}>
@@ -78,13 +99,23 @@ function ResultsTable({
                 <td>
                   {racer.firstName} {racer.lastName} (#{racer.carNumber})
                   {label && <span className={`text-xs italic ml-2 ${gfWinner ? 'text-yellow-600 font-medium' : 'text-gray-500'}`}>{label}</span>}
+                  {racer.tie && (
+                    <span className="text-xs italic text-orange-600 ml-2">
+                      tie{racer.tie.reason ? ` · ${racer.tie.reason}` : ' · shared place'}
+                    </span>
+                  )}
                   {showDenOrigin && racer.originalClass && (
                     <span className="text-xs italic text-gray-500 ml-2">{racer.originalClass} finalist</span>
                   )}
                 </td>
-                <td className="text-right font-mono">{avgTime.toFixed(4)}</td>
-                <td className="text-right font-mono">{racer.bestTime.toFixed(3)}</td>
-                <td className="text-right font-mono">{racer.worstTime.toFixed(3)}</td>
+                {showRound && <td className="text-center text-xs text-gray-600">{racer.roundLabel}</td>}
+                {showPoints && <td className="text-right font-mono">{getRankingValue(racer, 'points')}</td>}
+                <td className="text-right font-mono">{avgTime.toFixed(RANKING_DECIMALS)}</td>
+                {columns.map(key => (
+                  <td key={key} className="text-right font-mono">
+                    {(racer[key] || 0).toFixed(RESULT_COLUMNS[key]?.decimals ?? 3)}
+                  </td>
+                ))}
               </tr>
             )
           })}
@@ -0,0 +1,212 @@
+import { useState, useCallback } from 'react'
+import { SKIP_CLASS } from '../utils/sqliteParser'
+import { createTemplate, downloadTemplates, readTemplatesFile } from '../utils/templates'
+import { DEFAULT_TAXONOMY, getClassNames } from '../utils/taxonomy'
+
+const inputClass = 'border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-derby-blue'
+
+function TemplateManager({ store, onStoreChange, currentSettings, classMapping, onError }) {
+  const [newName, setNewName] = useState('')
+  const [editingName, setEditingName] = useState(null) // Template whose class rules are open
+
+  const canSave = Boolean(currentSettings && classMapping)
+
+  const updateTemplates = useCallback((templates, activeName = store.activeName) => {
+    onStoreChange({
+      templates,
+      activeName: templates.some(t => t.name === activeName) ? activeName : null
+    })
+  }, [store.activeName, onStoreChange])
+
+  const saveCurrent = useCallback(() => {
+    const name = newName.trim()
+    if (!name) return
+    const template = createTemplate(name, currentSettings, classMapping)
+    const others = store.templates.filter(t => t.name !== name)
+    // A newly saved template is the one applied next year
+    updateTemplates([...others, template], name)
+    setNewName('')
+  }, [newName, currentSettings, classMapping, store.templates, updateTemplates])
+
+  const removeTemplate = useCallback((name) => {
+    updateTemplates(store.templates.filter(t => t.name !== name))
+  }, [store.templates, updateTemplates])
+
+  const updateRules = useCallback((name, classRules) => {
+    updateTemplates(store.templates.map(t => t.name === name ? { ...t, classRules } : t))
+  }, [store.templates, updateTemplates])
+
+  const handleImport = useCallback(async (e) => {
+    const [file] = e.target.files
+    e.target.value = ''
+    if (!file) return
+    try {
+      const imported = await readTemplatesFile(file)
+      const importedNames = new Set(imported.map(t => t.name))
+      updateTemplates([...store.templates.filter(t => !importedNames.has(t.name)), ...imported])
+    } catch (err) {
+      onError(err.message)
+    }
+  }, [store.templates, updateTemplates, onError])
+
+  const editingTemplate = store.templates.find(t => t.name === editingName)
+  // Rules map into the template's own classes when it carries a taxonomy
+  const ruleClassNames = getClassNames(
+    editingTemplate?.classTaxonomy || currentSettings?.classTaxonomy || DEFAULT_TAXONOMY
+  )
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-medium text-gray-700">Templates</h3>
+        <div className="flex gap-3 text-sm">
+          <label className="text-derby-blue hover:text-blue-700 cursor-pointer font-medium">
+            Import
+            <input type="file" className="hidden" accept=".json" onChange={handleImport} />
+          </label>
+          {store.templates.length > 0 && (
+            <button
+              type="button"
+              onClick={() => downloadTemplates(store.templates)}
+              className="text-derby-blue hover:text-blue-700 font-medium"
+            >
+              Export all
+            </button>
+          )}
+        </div>
+      </div>
+      <p className="text-sm text-gray-500 mb-3">
+        A template keeps class-mapping rules, the class list, design award categories, the averaging method,
+        the Grand Finals winner exclusion and the page layout. The selected template is applied whenever new race files are uploaded.
+      </p>
+
+      {store.templates.length > 0 ? (
+        <ul className="space-y-2 mb-3">
+          {store.templates.map(template => (
+            <li key={template.name} className="flex items-center justify-between gap-3 bg-gray-50 border border-gray-200 rounded px-3 py-2 text-sm">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="radio"
+                  name="activeTemplate"
+                  checked={store.activeName === template.name}
+                  onChange={() => onStoreChange({ ...store, activeName: template.name })}
+                  className="text-derby-blue"
+                />
+                <span className="font-medium">{template.name}</span>
+                <span className="text-gray-500">
+                  {template.classRules.length} class rule(s), {template.designCategories?.length || 0} award categories
+                </span>
+              </label>
+              <div className="flex gap-3 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={() => setEditingName(editingName === template.name ? null : template.name)}
+                  className="text-derby-blue hover:text-blue-700"
+                >
+                  {editingName === template.name ? 'Done' : 'Class rules'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => downloadTemplates([template], template.name.replace(/\W+/g, '_'))}
+                  className="text-derby-blue hover:text-blue-700"
+                >
+                  Export
+                </button>
+                <button type="button" onClick={() => removeTemplate(template.name)} className="text-red-500 hover:text-red-700">
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+          <li className="px-3 text-sm">
+            <label className="flex items-center gap-2 cursor-pointer text-gray-600">
+              <input
+                type="radio"
+                name="activeTemplate"
+                checked={!store.activeName}
+                onChange={() => onStoreChange({ ...store, activeName: null })}
+                className="text-derby-blue"
+              />
+              <span>Don't apply a template</span>
+            </label>
+          </li>
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-600 mb-3">No templates saved yet.</p>
+      )}
+
+      {/* Class rules of one template */}
+      {editingTemplate && (
+        <div className="mb-3 border border-gray-200 rounded p-3">
+          <p className="text-sm text-gray-500 mb-2">
+            Rules are regular expressions matched against the class names in the race file (ignoring case),
+            tried in order before the built-in guesses.
+          </p>
+          <div className="space-y-2">
+            {editingTemplate.classRules.map((rule, i) => (
+              <div key={i} className="flex gap-2 items-center">
+                <input
+                  type="text"
+                  value={rule.pattern}
+                  onChange={(e) => updateRules(editingTemplate.name, editingTemplate.classRules.map((r, j) =>
+                    j === i ? { ...r, pattern: e.target.value } : r
+                  ))}
+                  className={`${inputClass} flex-1 font-mono`}
+                />
+                <span className="text-gray-400">→</span>
+                <select
+                  value={rule.den}
+                  onChange={(e) => updateRules(editingTemplate.name, editingTemplate.classRules.map((r, j) =>
+                    j === i ? { ...r, den: e.target.value } : r
+                  ))}
+                  className={inputClass}
+                >
+                  <option value={SKIP_CLASS}>⊘ Skip</option>
+                  {ruleClassNames.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => updateRules(editingTemplate.name, editingTemplate.classRules.filter((_, j) => j !== i))}
+                  className="text-red-500 hover:text-red-700 text-sm"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={() => updateRules(editingTemplate.name, [...editingTemplate.classRules, { pattern: '', den: ruleClassNames[0] }])}
+            className="mt-2 text-derby-blue hover:text-blue-700 text-sm font-medium"
+          >
+            + Add rule
+          </button>
+        </div>
+      )}
+
+      {canSave && (
+        <div className="flex gap-2 items-center">
+          <input
+            type="text"
+            placeholder="Template name, e.g. Pack 123"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            className={`${inputClass} flex-1`}
+          />
+          <button
+            type="button"
+            onClick={saveCurrent}
+            disabled={!newName.trim()}
+            className={`px-4 py-1 rounded text-sm font-medium ${
+              newName.trim() ? 'bg-derby-blue text-white hover:bg-blue-700' : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+            }`}
+          >
+            Save current report as template
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TemplateManager
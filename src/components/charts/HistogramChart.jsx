@@ -9,6 +9,7 @@ import {
   Legend
 } from 'chart.js'
 import { Bar } from 'react-chartjs-2'
+import { SPEED_UNITS, convertTime } from '../../utils/speed'
 
 ChartJS.register(
   CategoryScale,
@@ -45,18 +46,37 @@ function getClassColor(className) {
   return CLASS_COLORS.default
 }
 
-function HistogramChart({ data, classes, binWidth = 0.02 }) {
+// Bin widths when the x-axis shows speed instead of time
+const SPEED_BIN_WIDTHS = {
+  scaleMph: 5,
+  fps: 0.25
+}
+
+function HistogramChart({ data, classes, binWidth: timeBinWidth = 0.02, units = 'seconds', trackConfig }) {
   const chartData = useMemo(() => {
     if (!data || data.length === 0) return null
     
+    const values = data.map(d => ({ ...d, time: convertTime(d.time, units, trackConfig) }))
+    
     // Determine range based on statistics
-    const times = data.map(d => d.time).filter(t => t > 0)
+    const times = values.map(d => d.time).filter(t => t > 0)
     const sum = times.reduce((a, b) => a + b, 0)
     const mean = sum / times.length
     
-    // X-axis: 0.5 seconds below mean to 2x the mean
-    const minTime = Math.floor((mean - 0.5) * 50) / 50  // Round down to nearest 0.02
-    const maxTime = Math.ceil((mean * 2) * 50) / 50     // Round up to nearest 0.02
+    let minTime, maxTime, binWidth, labelDecimals
+    if (units === 'seconds') {
+      // X-axis: 0.5 seconds below mean to 2x the mean
+      binWidth = timeBinWidth
+      labelDecimals = 2
+      minTime = Math.floor((mean - 0.5) * 50) / 50  // Round down to nearest 0.02
+      maxTime = Math.ceil((mean * 2) * 50) / 50     // Round up to nearest 0.02
+    } else {
+      // Speeds: the full observed range, on whole bins
+      binWidth = SPEED_BIN_WIDTHS[units]
+      labelDecimals = binWidth < 1 ? 2 : 0
+      minTime = Math.floor(Math.min(...times) / binWidth) * binWidth
+      maxTime = (Math.floor(Math.max(...times) / binWidth) + 1) * binWidth
+    }
     
     // Create bins
     const bins = []
@@ -64,13 +84,13 @@ function HistogramChart({ data, classes, binWidth = 0.02 }) {
       bins.push({
         start: t,
         end: t + binWidth,
-        label: t.toFixed(2),
+        label: t.toFixed(labelDecimals),
         counts: {}
       })
     }
     
     // Count occurrences per bin per class
-    data.forEach(d => {
+    values.forEach(d => {
       const binIndex = Math.floor((d.time - minTime) / binWidth)
       if (binIndex >= 0 && binIndex < bins.length) {
         const className = d.className || 'Unknown'
@@ -99,7 +119,7 @@ function HistogramChart({ data, classes, binWidth = 0.02 }) {
       datasets,
       median
     }
-  }, [data, binWidth])
+  }, [data, timeBinWidth, units, trackConfig])
 
   if (!chartData) {
     return <div className="text-gray-400 text-center py-8">No data available</div>
@@ -127,7 +147,7 @@ function HistogramChart({ data, classes, binWidth = 0.02 }) {
         stacked: true,
         title: {
           display: true,
-          text: 'Finish Time (seconds)',
+          text: units === 'seconds' ? 'Finish Time (seconds)' : SPEED_UNITS[units].axisLabel,
           font: { size: 11 }
         },
         ticks: {
@@ -0,0 +1,111 @@
+import { useMemo } from 'react'
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js'
+import { Bar } from 'react-chartjs-2'
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+)
+
+const FAST_COLOR = 'rgba(50, 136, 189, 0.8)'
+const SLOW_COLOR = 'rgba(213, 62, 79, 0.8)'
+
+// Offsets are plotted in milliseconds; seconds would be all leading zeros
+const toMs = (seconds) => Math.round(seconds * 10000) / 10
+
+function LaneBiasChart({ laneBias }) {
+  const chartData = useMemo(() => {
+    if (!laneBias || laneBias.lanes.length === 0) return null
+
+    const offsets = laneBias.lanes.map(l => toMs(l.meanOffset))
+    return {
+      labels: laneBias.lanes.map(l => `Lane ${l.lane}`),
+      datasets: [{
+        label: 'Mean offset from heat average (ms)',
+        data: offsets,
+        backgroundColor: offsets.map(o => o <= 0 ? FAST_COLOR : SLOW_COLOR),
+        borderColor: offsets.map(o => (o <= 0 ? FAST_COLOR : SLOW_COLOR).replace('0.8', '1')),
+        borderWidth: 1
+      }]
+    }
+  }, [laneBias])
+
+  if (!chartData) {
+    return <div className="text-gray-400 text-center py-8">No data available</div>
+  }
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (ctx) => `${ctx.parsed.y > 0 ? '+' : ''}${ctx.parsed.y} ms`
+        }
+      }
+    },
+    scales: {
+      x: {
+        ticks: { font: { size: 10 } }
+      },
+      y: {
+        title: {
+          display: true,
+          text: 'Offset (ms, negative = faster)',
+          font: { size: 11 }
+        },
+        ticks: { font: { size: 10 } }
+      }
+    },
+    animation: false  // Disable for PDF rendering
+  }
+
+  return (
+    <div>
+      <div className="chart-container" style={{ height: '200px' }}>
+        <Bar data={chartData} options={options} />
+      </div>
+      <table className="results-table w-full text-sm mt-3">
+        <thead>
+          <tr>
+            <th className="text-left">Lane</th>
+            <th className="text-center">Heats</th>
+            <th className="text-center">Avg Time</th>
+            <th className="text-center">Mean Offset</th>
+            <th className="text-center">Median Offset</th>
+          </tr>
+        </thead>
+        <tbody>
+          {laneBias.lanes.map(l => (
+            <tr key={l.lane}>
+              <td>
+                Lane {l.lane}
+                {l.lane === laneBias.fastestLane && <span className="text-xs italic text-gray-500 ml-2">fastest</span>}
+                {l.lane === laneBias.slowestLane && <span className="text-xs italic text-gray-500 ml-2">slowest</span>}
+              </td>
+              <td className="text-right">{l.heatCount}</td>
+              <td className="text-right font-mono">{l.meanTime.toFixed(4)}</td>
+              <td className="text-right font-mono">{l.meanOffset >= 0 ? '+' : ''}{l.meanOffset.toFixed(4)}</td>
+              <td className="text-right font-mono">{l.medianOffset >= 0 ? '+' : ''}{l.medianOffset.toFixed(4)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default LaneBiasChart
@@ -10,6 +10,7 @@ import {
   Legend
 } from 'chart.js'
 import { Line } from 'react-chartjs-2'
+import { SPEED_UNITS, convertTime } from '../../utils/speed'
 
 ChartJS.register(
   CategoryScale,
@@ -37,7 +38,9 @@ const RACER_COLORS = [
   'rgba(228, 196, 159, 1)'
 ]
 
-function SlopeChart({ grandFinalsData, denResultsByRacer, avgKey = 'avgExceptSlowest' }) {
+function SlopeChart({ grandFinalsData, denResultsByRacer, avgKey = 'avgExceptSlowest', units = 'seconds', trackConfig }) {
+  const unit = SPEED_UNITS[units] || SPEED_UNITS.seconds
+
   const chartData = useMemo(() => {
     if (!grandFinalsData || grandFinalsData.length === 0) return null
     
@@ -53,16 +56,15 @@ function SlopeChart({ grandFinalsData, denResultsByRacer, avgKey = 'avgExceptSlo
     const datasets = sorted.map((racer, index) => {
       const grandFinalsAvg = racer[avgKey] || racer.avgExceptSlowest || racer.avgTime
       
-      // Look up den result using name+carNumber key (since KidCarYear includes class name)
-      const racerKey = `${racer.firstName}|${racer.lastName}|${racer.carNumber}`
-      const denResult = denResultsByRacer?.[racerKey]
+      // Look up den result by racer key (since KidCarYear includes class name)
+      const denResult = denResultsByRacer?.[racer.racerKey]
       const denAvg = denResult?.[avgKey] || 
                      denResult?.avgExceptSlowest ||
                      grandFinalsAvg // Fallback to GF avg if no den data
       
       return {
         label: `${racer.firstName} ${racer.lastName}`,
-        data: [denAvg, grandFinalsAvg],
+        data: [convertTime(denAvg, units, trackConfig), convertTime(grandFinalsAvg, units, trackConfig)],
         borderColor: RACER_COLORS[index % RACER_COLORS.length],
         backgroundColor: RACER_COLORS[index % RACER_COLORS.length],
         pointRadius: 5,
@@ -74,7 +76,7 @@ function SlopeChart({ grandFinalsData, denResultsByRacer, avgKey = 'avgExceptSlo
     })
     
     return { labels, datasets }
-  }, [grandFinalsData, denResultsByRacer, avgKey])
+  }, [grandFinalsData, denResultsByRacer, avgKey, units, trackConfig])
 
   if (!chartData) {
     return <div className="text-gray-400 text-center py-8">No finalist data available</div>
@@ -101,7 +103,8 @@ function SlopeChart({ grandFinalsData, denResultsByRacer, avgKey = 'avgExceptSlo
       tooltip: {
         callbacks: {
           label: (context) => {
-            return `${context.dataset.label}: ${context.parsed.y.toFixed(4)}s`
+            const suffix = units === 'seconds' ? 's' : ` ${unit.label}`
+            return `${context.dataset.label}: ${context.parsed.y.toFixed(unit.decimals)}${suffix}`
           }
         }
       }
@@ -119,10 +122,12 @@ function SlopeChart({ grandFinalsData, denResultsByRacer, avgKey = 'avgExceptSlo
         }
       },
       y: {
-        reverse: true,
+        reverse: !unit.higherIsBetter,
         title: {
           display: true,
-          text: 'Avg Time (seconds) - Lower is Better',
+          text: units === 'seconds'
+            ? 'Avg Time (seconds) - Lower is Better'
+            : `Avg ${unit.axisLabel} - Higher is Better`,
           font: { size: 11 }
         },
         ticks: {
@@ -0,0 +1,23 @@
+/**
+ * Shared test fixtures
+ */
+
+/**
+ * One lane result in a heat, as merged records look after the class mapping.
+ * @param {Object} fields - Fields that differ from the default result
+ * @returns {Object} Merged record
+ */
+export const heatResult = (fields = {}) => ({
+  FirstName: 'Sam',
+  LastName: 'Lee',
+  CarNumber: '1',
+  Class: 'Wolf Den',
+  OriginalClass: 'Wolves',
+  SourceFile: 'race.sqlite',
+  RoundID: 1,
+  Heat: 1,
+  Lane: 1,
+  Completed: 1,
+  FinishTime: 3,
+  ...fields
+})
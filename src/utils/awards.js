@@ -0,0 +1,170 @@
+/**
+ * Performance awards computed from race data
+ *
+ * Heat-based awards read the heat results counted in the statistics (re-runs
+ * resolved and excluded results dropped, as returned by processIntermediateData);
+ * statistic-based awards read the den results, with Grand Finals entries left
+ * out so a finalist isn't counted twice. Awards are switched on and configured
+ * through the autoAwards report setting and listed with the design awards.
+ */
+
+/**
+ * How consistency is measured
+ */
+export const CONSISTENCY_METRICS = {
+  cv: 'Coefficient of variation (std dev ÷ average)',
+  stdDev: 'Standard deviation'
+}
+
+// Racer fields (as in the racer statistics) from a merged heat record
+const racerFromRecord = (r) => ({
+  firstName: r.FirstName,
+  lastName: r.LastName,
+  carNumber: r.CarNumber,
+  carName: r.CarName || ''
+})
+
+// Order heats as they were run
+const compareHeatOrder = (a, b) => (Number(a.RoundID) - Number(b.RoundID)) || (Number(a.Heat) - Number(b.Heat))
+
+/**
+ * Award definitions
+ * compute(data, options) gets { heats, denResults, finalsResults } and returns
+ * { racer, detail }, an array of them (with their own category), or null when no racer qualifies.
+ */
+export const AUTO_AWARDS = {
+  fastestHeat: {
+    label: 'Fastest Single Heat',
+    defaults: { enabled: false },
+    compute({ heats }) {
+      if (heats.length === 0) return null
+      const fastest = heats.reduce((best, r) => r.FinishTime < best.FinishTime ? r : best)
+      return {
+        racer: racerFromRecord(fastest),
+        detail: `${fastest.FinishTime.toFixed(4)}s in ${fastest.Class}, heat ${fastest.Heat}`
+      }
+    }
+  },
+  mostImproved: {
+    label: 'Most Improved (Den to Finals)',
+    defaults: { enabled: false },
+    compute({ denResults, finalsResults }) {
+      // Matched on the racer key (racerId includes the class)
+      const denByRacer = new Map(denResults.map(r => [r.racerKey, r]))
+      let best = null
+      finalsResults.forEach(finals => {
+        const den = denByRacer.get(finals.racerKey)
+        if (!den || !(den.avgTime > 0) || !(finals.avgTime > 0)) return
+        const gain = den.avgTime - finals.avgTime
+        if (gain > 0 && (!best || gain > best.gain)) best = { racer: finals, den, gain }
+      })
+      if (!best) return null
+      return {
+        racer: best.racer,
+        detail: `${best.den.avgTime.toFixed(4)}s → ${best.racer.avgTime.toFixed(4)}s average (−${best.gain.toFixed(4)}s)`
+      }
+    }
+  },
+  biggestComeback: {
+    label: 'Biggest Comeback',
+    defaults: { enabled: false },
+    compute({ heats }) {
+      // Largest drop from a racer's slow heat to a faster heat later in the same class
+      // (by racer key, so a racer whose entries were merged is followed across them)
+      const runsByRacer = new Map()
+      heats.forEach(r => {
+        const key = `${r.RacerKey}|${r.Class}`
+        if (!runsByRacer.has(key)) runsByRacer.set(key, [])
+        runsByRacer.get(key).push(r)
+      })
+
+      let best = null
+      runsByRacer.forEach(runs => {
+        runs.sort(compareHeatOrder)
+        let slowest = null
+        runs.forEach(r => {
+          if (slowest && slowest.FinishTime - r.FinishTime > (best?.gain || 0)) {
+            best = { from: slowest, to: r, gain: slowest.FinishTime - r.FinishTime }
+          }
+          if (!slowest || r.FinishTime > slowest.FinishTime) slowest = r
+        })
+      })
+      if (!best) return null
+      return {
+        racer: racerFromRecord(best.to),
+        detail: `${best.from.FinishTime.toFixed(4)}s → ${best.to.FinishTime.toFixed(4)}s in a later heat`
+      }
+    }
+  },
+  mostConsistent: {
+    label: 'Most Consistent Car',
+    defaults: { enabled: false, metric: 'cv', minHeats: 3 },
+    compute({ denResults }, { metric, minHeats }) {
+      const eligible = denResults.filter(r => r.raceCount >= minHeats && r.avgTime > 0)
+      if (eligible.length === 0) return null
+
+      const score = (r) => metric === 'stdDev' ? r.stdDev : r.stdDev / r.avgTime
+      const winner = eligible.reduce((best, r) => score(r) < score(best) ? r : best)
+      const detail = metric === 'stdDev'
+        ? `±${winner.stdDev.toFixed(4)}s over ${winner.raceCount} heats`
+        : `${(score(winner) * 100).toFixed(2)}% variation over ${winner.raceCount} heats`
+      return { racer: winner, detail }
+    }
+  },
+  fastestPerLane: {
+    label: 'Fastest in Each Lane',
+    defaults: { enabled: false },
+    compute({ heats }) {
+      const fastestByLane = new Map()
+      heats.forEach(r => {
+        const current = fastestByLane.get(r.Lane)
+        if (!current || r.FinishTime < current.FinishTime) fastestByLane.set(r.Lane, r)
+      })
+      return [...fastestByLane.entries()]
+        .sort(([a], [b]) => Number(a) - Number(b))
+        .map(([lane, r]) => ({
+          category: `Fastest in Lane ${lane}`,
+          racer: racerFromRecord(r),
+          detail: `${r.FinishTime.toFixed(4)}s in ${r.Class}, heat ${r.Heat}`
+        }))
+    }
+  }
+}
+
+/**
+ * Award settings with defaults filled in for every award
+ * @param {Object} autoAwards - The autoAwards report setting (may be partial or missing)
+ * @returns {Object} - Award key -> options
+ */
+export function getAutoAwardSettings(autoAwards = {}) {
+  const settings = {}
+  Object.entries(AUTO_AWARDS).forEach(([key, award]) => {
+    settings[key] = { ...award.defaults, ...autoAwards[key] }
+  })
+  return settings
+}
+
+/**
+ * Compute the enabled awards
+ * @param {Object} source - What the awards are drawn from
+ * @param {Array} source.countedRecords - Heat results counted in the statistics (from processIntermediateData)
+ * @param {Array} source.denResults - Racer statistics from the den classes in the report
+ * @param {Array} source.finalsResults - Racer statistics from the Grand Finals (if any)
+ * @param {Object} autoAwards - The autoAwards report setting
+ * @returns {Array} - [{ key, category, racer, detail }] for awards that have a winner
+ */
+export function computeAutoAwards({ countedRecords = [], denResults = [], finalsResults = [] }, autoAwards) {
+  const settings = getAutoAwardSettings(autoAwards)
+
+  // Only heats from the classes shown in the report
+  const reportClasses = new Set([...denResults, ...finalsResults].map(r => r.className))
+  const heats = countedRecords.filter(r => reportClasses.has(r.Class))
+  const data = { heats, denResults, finalsResults }
+
+  return Object.entries(AUTO_AWARDS)
+    .filter(([key]) => settings[key].enabled)
+    .flatMap(([key, award]) => {
+      const result = award.compute(data, settings[key])
+      return [].concat(result || []).map(winner => ({ key, category: award.label, ...winner }))
+    })
+}
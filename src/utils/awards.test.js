@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest'
+import { AUTO_AWARDS, computeAutoAwards, getAutoAwardSettings } from './awards'
+import { heatResult } from '../test/records'
+
+const heat = (FirstName, fields) => heatResult({ FirstName, RacerKey: `${FirstName}|Lee|1`, ...fields })
+
+const heats = [
+  heat('Sam', { RoundID: 1, Heat: 1, Lane: 1, FinishTime: 3.4 }),
+  heat('Sam', { RoundID: 1, Heat: 2, Lane: 2, FinishTime: 3.3 }),
+  heat('Max', { CarNumber: '2', RoundID: 1, Heat: 1, Lane: 2, FinishTime: 3.1 }),
+  heat('Max', { CarNumber: '2', RoundID: 1, Heat: 2, Lane: 1, FinishTime: 3.2 })
+]
+
+const stats = (firstName, fields) => ({ firstName, lastName: 'Lee', racerKey: `${firstName}|Lee|1`, className: 'Wolf Den', ...fields })
+
+describe('AUTO_AWARDS', () => {
+  it('fastestHeat picks the fastest single run', () => {
+    const { racer, detail } = AUTO_AWARDS.fastestHeat.compute({ heats })
+    expect(racer.firstName).toBe('Max')
+    expect(detail).toBe('3.1000s in Wolf Den, heat 1')
+  })
+
+  it('mostImproved compares a racer\'s den and finals averages', () => {
+    const denResults = [stats('Sam', { avgTime: 3.4 }), stats('Max', { avgTime: 3.2 })]
+    const finalsResults = [stats('Sam', { avgTime: 3.3, className: 'Grand Finals' }), stats('Max', { avgTime: 3.25, className: 'Grand Finals' })]
+    const { racer, detail } = AUTO_AWARDS.mostImproved.compute({ denResults, finalsResults })
+    expect(racer.firstName).toBe('Sam')
+    expect(detail).toBe('3.4000s → 3.3000s average (−0.1000s)')
+  })
+
+  it('biggestComeback follows a merged racer across their entries', () => {
+    // Jon and Jonathan were merged into one racer; the slow heat and the comeback sit on different entries
+    const merged = { LastName: 'Smith', CarNumber: '12', RacerKey: 'Jon|Smith|12' }
+    const { racer, detail } = AUTO_AWARDS.biggestComeback.compute({
+      heats: [
+        ...heats,
+        heatResult({ ...merged, FirstName: 'Jon', KidCarYear: 'Jon Smith #12', RoundID: 1, Heat: 1, Lane: 3, FinishTime: 3.6 }),
+        heatResult({ ...merged, FirstName: 'Jonathan', KidCarYear: 'Jonathan Smith #12', RoundID: 2, Heat: 1, Lane: 3, FinishTime: 3.2 })
+      ]
+    })
+    expect(racer.firstName).toBe('Jonathan')
+    expect(detail).toBe('3.6000s → 3.2000s in a later heat')
+  })
+
+  it('biggestComeback needs a faster heat after a slower one', () => {
+    expect(AUTO_AWARDS.biggestComeback.compute({ heats: heats.filter(r => r.FirstName === 'Max') })).toBeNull()
+  })
+
+  it('mostConsistent scores by the chosen metric among racers with enough heats', () => {
+    const denResults = [
+      stats('Sam', { raceCount: 4, avgTime: 4.0, stdDev: 0.04 }),
+      stats('Max', { raceCount: 4, avgTime: 2.0, stdDev: 0.03 }),
+      stats('Ben', { raceCount: 2, avgTime: 3.0, stdDev: 0.001 })
+    ]
+    expect(AUTO_AWARDS.mostConsistent.compute({ denResults }, { metric: 'cv', minHeats: 3 }).racer.firstName).toBe('Sam')
+    expect(AUTO_AWARDS.mostConsistent.compute({ denResults }, { metric: 'stdDev', minHeats: 3 }).racer.firstName).toBe('Max')
+    expect(AUTO_AWARDS.mostConsistent.compute({ denResults }, { metric: 'stdDev', minHeats: 5 })).toBeNull()
+  })
+
+  it('fastestPerLane names the fastest run in each lane', () => {
+    const winners = AUTO_AWARDS.fastestPerLane.compute({ heats })
+    expect(winners.map(w => [w.category, w.racer.firstName])).toEqual([
+      ['Fastest in Lane 1', 'Max'],
+      ['Fastest in Lane 2', 'Max']
+    ])
+  })
+})
+
+describe('computeAutoAwards', () => {
+  it('computes only the enabled awards', () => {
+    expect(computeAutoAwards({ countedRecords: heats, denResults: [stats('Sam', {})] }, {})).toEqual([])
+    const awards = computeAutoAwards({ countedRecords: heats, denResults: [stats('Sam', {})] }, { fastestHeat: { enabled: true } })
+    expect(awards.map(a => [a.key, a.category, a.racer.firstName])).toEqual([['fastestHeat', 'Fastest Single Heat', 'Max']])
+  })
+
+  it('draws heats only from the classes in the report', () => {
+    const countedRecords = [...heats, heat('Ben', { Class: 'Siblings', FinishTime: 2.5 })]
+    const [award] = computeAutoAwards({ countedRecords, denResults: [stats('Sam', {})] }, { fastestHeat: { enabled: true } })
+    expect(award.racer.firstName).toBe('Max')
+  })
+
+  it('fills in defaults for awards missing from the setting', () => {
+    expect(getAutoAwardSettings({ mostConsistent: { minHeats: 5 } }).mostConsistent).toEqual({ enabled: false, metric: 'cv', minHeats: 5 })
+  })
+})
@@ -0,0 +1,153 @@
+import { heatResultKey, describeHeatResultKey } from './outliers'
+import { sourceHeatKey, getRerunLanes, getDroppedRuns } from './heatKeys'
+
+/**
+ * Manual corrections to heat results (the heatCorrections setting)
+ *
+ * Corrections are applied to the merged data before anything else, so corrected
+ * times flow into the statistics, the report and the CSV export. The list of
+ * corrections doubles as the audit trail: each entry records what was changed,
+ * why and when, and removing an entry undoes it.
+ *
+ * Every entry is keyed on the heat result as recorded in the race file (see
+ * heatResultKey), and previousTime is always the recorded time, even when an
+ * earlier override is overridden again. label describes the result for the history.
+ *
+ * Entry shapes:
+ *   { id, type: 'override', key, label, time, previousTime, note, editedAt }
+ *   { id, type: 'void', key, label, previousTime, note, editedAt }
+ *   { id, type: 'add', key, label, record, note, editedAt }
+ */
+export const CORRECTION_TYPES = {
+  override: 'Time overridden',
+  void: 'Result voided',
+  add: 'Result added'
+}
+
+/**
+ * Create a correction entry with an id and timestamp
+ * @param {string} type - Key of CORRECTION_TYPES
+ * @param {Object} fields - Type-specific fields (key, label, time, record, previousTime, note)
+ * @returns {Object} - The correction
+ */
+export function createCorrection(type, fields) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    ...fields,
+    note: fields.note || '',
+    editedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Readable description of a heat result
+ * @param {Object} record - Merged record
+ * @returns {string} - "First Last, Class round 1, heat 2, lane 3"
+ */
+export function describeHeatResult(record) {
+  return `${record.FirstName} ${record.LastName}, ${record.Class} round ${record.RoundID}, heat ${record.Heat}, lane ${record.Lane}`
+}
+
+/**
+ * Build the record for a missing heat result from one of the racer's existing records
+ * RunIndex follows any runs already recorded in that lane, so the added result has its own key.
+ * @param {Object} racerRecord - Any merged record for the racer in the class
+ * @param {Object} heat - { RoundID, Heat, Lane, FinishTime, RunIndex }
+ * @returns {Object} - Merged-data record
+ */
+export function buildAddedRecord(racerRecord, { RoundID, Heat, Lane, FinishTime, RunIndex = 0 }) {
+  return {
+    Year: racerRecord.Year,
+    FirstName: racerRecord.FirstName,
+    LastName: racerRecord.LastName,
+    CarNumber: racerRecord.CarNumber,
+    CarName: racerRecord.CarName,
+    Class: racerRecord.Class,
+    OriginalClass: racerRecord.OriginalClass,
+    SourceFile: racerRecord.SourceFile,
+    RoundID,
+    Heat,
+    Lane,
+    Completed: 1,
+    FinishTime,
+    FinishPlace: null,
+    FullName: racerRecord.FullName,
+    KidCarYear: racerRecord.KidCarYear,
+    RunIndex
+  }
+}
+
+/**
+ * One-line description of a correction for the audit trail
+ * @param {Object} correction - Correction entry
+ * @returns {string}
+ */
+export function describeCorrection(correction) {
+  const where = correction.label || describeHeatResultKey(correction.key)
+  const previous = correction.previousTime > 0 ? `${correction.previousTime.toFixed(4)}s` : 'no time'
+  if (correction.type === 'override') return `${where}: ${previous} → ${correction.time.toFixed(4)}s`
+  if (correction.type === 'void') return `${where}: ${previous} voided`
+  return `${where}: added ${correction.record.FinishTime.toFixed(4)}s`
+}
+
+/**
+ * Apply corrections to merged data
+ * Overrides replace the time of that one run (a re-run of the lane has its own key).
+ * Finish places in corrected heats are re-ranked from the times, so points follow the correction;
+ * runs of a re-run lane that the heat policy drops take no place.
+ * Corrected rows carry a Correction note so they stand out in the CSV export.
+ * @param {Array} mergedData - Merged records with mapped classes
+ * @param {Array} corrections - Correction entries, oldest first
+ * @param {string} heatPolicy - How re-runs are resolved (see reviewHeatResults)
+ * @returns {Object} - { records, unmatched: corrections whose heat result no longer exists }
+ */
+export function applyCorrections(mergedData, corrections = [], heatPolicy = 'latest') {
+  let records = mergedData
+  const unmatched = []
+  const correctedHeats = new Set()
+
+  corrections.forEach(correction => {
+    if (correction.type === 'add') {
+      records = [...records, { ...correction.record, Correction: noteFor(correction) }]
+      correctedHeats.add(sourceHeatKey(correction.record))
+      return
+    }
+    const target = records.find(r => heatResultKey(r) === correction.key)
+    if (!target) {
+      unmatched.push(correction)
+      return
+    }
+    correctedHeats.add(sourceHeatKey(target))
+    if (correction.type === 'void') {
+      records = records.filter(r => heatResultKey(r) !== correction.key)
+    } else if (correction.type === 'override') {
+      records = records.map(r => heatResultKey(r) === correction.key
+        ? { ...r, FinishTime: correction.time, Completed: 1, Correction: noteFor(correction) }
+        : r
+      )
+    }
+  })
+
+  return { records: rerankHeats(records, correctedHeats, heatPolicy), unmatched }
+}
+
+// Reassign finish places by time within the given heats, among the runs the heat policy keeps
+function rerankHeats(records, heatKeys, heatPolicy) {
+  if (heatKeys.size === 0) return records
+  const dropped = new Set()
+  getRerunLanes(records).forEach(runs => getDroppedRuns(runs, heatPolicy).forEach(i => dropped.add(records[i])))
+  const places = new Map()
+  heatKeys.forEach(key => {
+    records
+      .filter(r => sourceHeatKey(r) === key && r.FinishTime > 0 && !dropped.has(r))
+      .sort((a, b) => a.FinishTime - b.FinishTime)
+      .forEach((r, i) => places.set(r, i + 1))
+  })
+  return records.map(r => places.has(r) ? { ...r, FinishPlace: places.get(r) } : r)
+}
+
+function noteFor(correction) {
+  const label = CORRECTION_TYPES[correction.type]
+  return correction.note ? `${label}: ${correction.note}` : label
+}
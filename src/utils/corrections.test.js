@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest'
+import { applyCorrections, createCorrection, buildAddedRecord, describeCorrection, describeHeatResult } from './corrections'
+import { heatResultKey } from './outliers'
+import { heatResult } from '../test/records'
+
+const result = (fields) => heatResult({ RunIndex: 0, ...fields })
+
+const sam = result({ FinishTime: 3.2, FinishPlace: 1 })
+const max = result({ FirstName: 'Max', CarNumber: '2', Lane: 2, FinishTime: 3.1, FinishPlace: 2 })
+const records = [sam, max]
+
+const override = (record, time) => createCorrection('override', {
+  key: heatResultKey(record),
+  label: describeHeatResult(record),
+  time,
+  previousTime: record.FinishTime
+})
+
+describe('applyCorrections', () => {
+  it('overrides a time and re-ranks the heat', () => {
+    const { records: corrected, unmatched } = applyCorrections(records, [override(sam, 3.0)])
+    expect(corrected.map(r => [r.FirstName, r.FinishTime, r.FinishPlace])).toEqual([['Sam', 3.0, 1], ['Max', 3.1, 2]])
+    expect(corrected[0].Correction).toBe('Time overridden')
+    expect(unmatched).toEqual([])
+  })
+
+  it('re-ranks places from the times after a correction', () => {
+    const { records: corrected } = applyCorrections(records, [override(sam, 3.3)])
+    expect(corrected.map(r => r.FinishPlace)).toEqual([2, 1])
+  })
+
+  it('applies the latest of several overrides, each recording the original time', () => {
+    const corrections = [override(sam, 3.0), override(sam, 2.9)]
+    const { records: corrected } = applyCorrections(records, corrections)
+    expect(corrected[0].FinishTime).toBe(2.9)
+    expect(corrections.map(c => c.previousTime)).toEqual([3.2, 3.2])
+    expect(describeCorrection(corrections[1])).toBe('Sam Lee, Wolf Den round 1, heat 1, lane 1: 3.2000s → 2.9000s')
+  })
+
+  it('voids a result', () => {
+    const corrections = [createCorrection('void', { key: heatResultKey(max), previousTime: max.FinishTime })]
+    expect(applyCorrections(records, corrections).records.map(r => r.FirstName)).toEqual(['Sam'])
+  })
+
+  it('corrects only the run it was made on when a lane was re-run', () => {
+    const rerun = result({ FinishTime: 3.4, RunIndex: 1 })
+    const { records: corrected } = applyCorrections([sam, rerun], [override(rerun, 3.3)])
+    expect(corrected.map(r => r.FinishTime)).toEqual([3.2, 3.3])
+  })
+
+  it('ranks only the runs the heat policy keeps in a corrected heat with a re-run lane', () => {
+    // Sam's lane was re-run: the first run (3.0) is superseded by the re-run (3.4)
+    const first = result({ FinishTime: 3.0, FinishPlace: 1 })
+    const rerun = result({ FinishTime: 3.4, RunIndex: 1, FinishPlace: 2 })
+    const ben = result({ FirstName: 'Ben', CarNumber: '3', Lane: 3, FinishTime: 3.3, FinishPlace: 3 })
+    const heat = [first, rerun, max, ben]
+    const place = (corrected, record) => corrected.find(r => heatResultKey(r) === heatResultKey(record)).FinishPlace
+
+    const latest = applyCorrections(heat, [override(max, 3.2)], 'latest').records
+    expect([ben, max, rerun].map(r => place(latest, r))).toEqual([2, 1, 3])
+
+    const discard = applyCorrections(heat, [override(max, 3.2)], 'discard').records
+    expect([ben, max].map(r => place(discard, r))).toEqual([2, 1])
+
+    const flag = applyCorrections(heat, [override(max, 3.2)], 'flag').records
+    expect([first, max, ben, rerun].map(r => place(flag, r))).toEqual([1, 2, 3, 4])
+  })
+
+  it('still matches after the raw class is mapped to another den', () => {
+    const remapped = records.map(r => ({ ...r, Class: 'Bear Den' }))
+    expect(applyCorrections(remapped, [override(sam, 3.0)]).unmatched).toEqual([])
+  })
+
+  it('adds a missing result', () => {
+    const record = buildAddedRecord(sam, { RoundID: 1, Heat: 2, Lane: 1, FinishTime: 3.05 })
+    const corrections = [createCorrection('add', { key: heatResultKey(record), record })]
+    const { records: corrected } = applyCorrections(records, corrections)
+    expect(corrected).toHaveLength(3)
+    expect(corrected[2]).toMatchObject({ Heat: 2, FinishTime: 3.05, FinishPlace: 1, Correction: 'Result added' })
+  })
+
+  it('reports corrections whose heat result no longer exists', () => {
+    const stale = createCorrection('void', { key: 'old.sqlite|Wolves|1|1|1|0', previousTime: 3 })
+    expect(applyCorrections(records, [stale]).unmatched).toEqual([stale])
+  })
+})
@@ -1,4 +1,13 @@
-import { applyClassMapping, performSanityCheck, STANDARD_DEN_NAMES } from './sqliteParser'
+import { applyClassMapping, performSanityCheck, buildIntermediateData } from './sqliteParser'
+import { analyzeLaneBias, correctForLane } from './laneAnalysis'
+import { computeHeadToHead } from './headToHead'
+import { DEFAULT_TRACK_CONFIG, feetPerSecond, scaleMph } from './speed'
+import { DEFAULT_OUTLIER_RULES, detectOutliers, heatResultKey, describeHeatResultKey } from './outliers'
+import { applyCorrections, describeCorrection } from './corrections'
+import { DEFAULT_TAXONOMY, getClassSortIndex, getFinalsClassName, getFinalsExcludedKeys } from './taxonomy'
+import { identityKey, resolveRacerKeys, findRacerMatches } from './racerIdentity'
+import { csvValue, downloadFile } from './fileExport'
+import { sourceClassKey, sourceHeatKey, getSourceNames, assignRunIndexes, getRoundNumbering, getRerunLanes, getDroppedRuns } from './heatKeys'
 
 /**
  * Format time for display
@@ -15,9 +24,9 @@ export function formatTime(time, decimals = 3) {
  * Columns to include in CSV/HTML export (in order)
  */
 const EXPORT_COLUMNS = [
-  'Year', 'FirstName', 'LastName', 'CarNumber', 'CarName', 'Class', 'OriginalClass',
+  'Year', 'FirstName', 'LastName', 'CarNumber', 'CarName', 'Class', 'OriginalClass', 'SourceFile',
   'RoundID', 'Heat', 'Lane', 'Completed', 'FinishTime', 'FinishPlace',
-  'FullName', 'KidCarYear'
+  'FullName', 'KidCarYear', 'Correction'
 ]
 
 /**
@@ -37,20 +46,89 @@ export function mergedDataToCSV(mergedData) {
   const rows = [existingColumns.join(',')]
   
   mergedData.forEach(record => {
-    const values = existingColumns.map(col => {
-      const val = record[col]
-      if (val === null || val === undefined) return ''
-      // Escape quotes and wrap in quotes if contains comma, quote, or newline
-      const strVal = String(val)
-      if (strVal.includes(',') || strVal.includes('"') || strVal.includes('\n')) {
-        return `"${strVal.replace(/"/g, '""')}"`
+    rows.push(existingColumns.map(col => csvValue(record[col])).join(','))
+  })
+  
+  return rows.join('\n')
+}
+
+/**
+ * Columns that identify a file as a merged data export (see mergedDataToCSV)
+ */
+const MERGED_SIGNATURE_COLUMNS = ['FirstName', 'LastName', 'CarNumber', 'Class', 'OriginalClass', 'FinishTime', 'KidCarYear']
+
+/**
+ * Exported columns holding numbers (everything else is read back as text)
+ * CarNumber stays text: "12A" and "12B" are different cars.
+ */
+const NUMERIC_EXPORT_COLUMNS = ['RoundID', 'Heat', 'Lane', 'Completed', 'FinishTime', 'FinishPlace']
+
+/**
+ * Check whether a parsed spreadsheet is a merged data export from this app
+ * @param {Object} table - Parsed spreadsheet ({ headers, rows })
+ * @returns {boolean}
+ */
+export function isMergedDataTable(table) {
+  return MERGED_SIGNATURE_COLUMNS.every(col => table.headers.includes(col))
+}
+
+/**
+ * Get the year recorded in a merged data export (first non-empty Year cell)
+ * @param {Object} table - Parsed spreadsheet ({ headers, rows })
+ * @returns {number|null}
+ */
+export function getMergedDataYear(table) {
+  const yearIndex = table.headers.indexOf('Year')
+  if (yearIndex === -1) return null
+  const row = table.rows.find(r => String(r[yearIndex] ?? '').trim() !== '')
+  const year = row ? parseInt(row[yearIndex]) : NaN
+  return Number.isFinite(year) ? year : null
+}
+
+/**
+ * Convert a re-imported merged data export back into intermediate data
+ * Records get their OriginalClass back as the raw class, and the class mapping
+ * baked into the export is returned so the mapping step can be skipped.
+ * @param {Object} table - Parsed spreadsheet ({ name, headers, rows })
+ * @param {number} year - The year for this data
+ * @returns {Object} - Intermediate data plus the baked-in classMapping
+ */
+export function extractMergedIntermediateData(table, year) {
+  const records = table.rows.map(row => {
+    const record = {}
+    table.headers.forEach((col, i) => {
+      if (!EXPORT_COLUMNS.includes(col)) return
+      const value = row[i] ?? ''
+      if (NUMERIC_EXPORT_COLUMNS.includes(col)) {
+        const num = parseFloat(value)
+        record[col] = Number.isFinite(num) ? num : null
+      } else {
+        record[col] = String(value).trim()
       }
-      return strVal
     })
-    rows.push(values.join(','))
+    return record
   })
   
-  return rows.join('\n')
+  const classMapping = {}
+  const rawRecords = records.map(record => {
+    const originalClass = record.OriginalClass || record.Class
+    // First mapping seen wins if the same original class was mapped twice
+    if (!(originalClass in classMapping)) {
+      classMapping[originalClass] = record.Class
+    }
+    const { OriginalClass: _originalClass, ...rest } = record
+    return {
+      ...rest,
+      Year: String(year),
+      Class: originalClass,
+      KidCarYear: `${record.FirstName} ${record.LastName} (#${record.CarNumber}'${year}) - ${originalClass}`
+    }
+  })
+  
+  return {
+    ...buildIntermediateData(rawRecords, year, [], 'Merged data export'),
+    classMapping
+  }
 }
 
 /**
@@ -59,17 +137,7 @@ export function mergedDataToCSV(mergedData) {
  * @param {string} filename - The filename to use (without extension)
  */
 export function downloadMergedDataCSV(mergedData, filename = 'merged_race_data') {
-  const csv = mergedDataToCSV(mergedData)
-  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
-  const url = URL.createObjectURL(blob)
-  
-  const link = document.createElement('a')
-  link.href = url
-  link.download = `${filename}.csv`
-  document.body.appendChild(link)
-  link.click()
-  document.body.removeChild(link)
-  URL.revokeObjectURL(url)
+  downloadFile(mergedDataToCSV(mergedData), `${filename}.csv`, 'text/csv;charset=utf-8;')
 }
 
 /**
@@ -136,46 +204,483 @@ export function viewMergedDataAsHTML(mergedData, title = 'Merged Race Data') {
   }
 }
 
+/**
+ * How to treat a lane that was raced more than once in the same heat
+ */
+export const HEAT_POLICIES = {
+  latest: 'Use the latest run',
+  discard: 'Discard re-run results',
+  flag: 'Keep every run (flag only)'
+}
+
+/**
+ * Ways racers can be ranked within a class (the avgMethod setting)
+ * statKey is the racer statistic that decides placement; timeKey is the average
+ * shown alongside it.
+ */
+export const RANKING_METHODS = {
+  dropSlowest: { label: 'Drop slowest heat (recommended)', statKey: 'avgExceptSlowest', timeKey: 'avgExceptSlowest', higherIsBetter: false },
+  allHeats: { label: 'Average all heats', statKey: 'avgTime', timeKey: 'avgTime', higherIsBetter: false },
+  points: { label: 'Points by finish place', statKey: 'points', timeKey: 'avgExceptSlowest', higherIsBetter: true },
+  laneCorrected: { label: 'Lane-corrected average', statKey: 'avgLaneCorrected', timeKey: 'avgLaneCorrected', higherIsBetter: false }
+}
+
+/**
+ * Points awarded per heat by finish place (index 0 = 1st place)
+ */
+export const DEFAULT_POINTS_TABLE = [4, 3, 2, 1]
+
+/**
+ * How wildcard spots are filled once each den's automatic qualifiers are in
+ */
+export const WILDCARD_POOLS = {
+  fastest: 'Best remaining racers overall',
+  roundRobin: 'Next best from each den in turn'
+}
+
+/**
+ * Grand Finals qualification rules
+ * excludedClasses holds class keys (lowercase names) that send no one to the finals.
+ * maxWildcardsPerDen of 0 means no limit.
+ */
+export const DEFAULT_FINALS_RULES = {
+  topPerDen: 1,
+  finalsSize: 12,
+  wildcardPool: 'fastest',
+  maxWildcardsPerDen: 0,
+  excludedClasses: []
+}
+
+/**
+ * Whether a class name looks like the Grand Finals (used when none was chosen)
+ * @param {string} name - Class name
+ * @returns {boolean}
+ */
+export function isGrandFinalsName(name) {
+  const lower = name.toLowerCase()
+  return lower.includes('grand final') || lower.includes('grand prix final')
+}
+
+/**
+ * Key of the finals class among the raced classes: the taxonomy's finals class, else a finals-like name
+ * @param {Array} classes - Classes in the race ({ name })
+ * @param {Object} taxonomy - Class taxonomy
+ * @returns {string|null} - Lowercase class name
+ */
+export function findFinalsClassKey(classes, taxonomy = DEFAULT_TAXONOMY) {
+  const keys = classes.map(c => c.name.toLowerCase())
+  const finalsName = getFinalsClassName(taxonomy)?.toLowerCase()
+  return (finalsName && keys.includes(finalsName) ? finalsName : keys.find(isGrandFinalsName)) || null
+}
+
+/**
+ * Decimal places ranking times are shown at; racers equal at this precision are tied
+ */
+export const RANKING_DECIMALS = 4
+
+/**
+ * Ways to separate racers tied at the displayed precision
+ */
+export const TIE_BREAKERS = {
+  bestTime: 'Best single heat',
+  headToHead: 'Head-to-head wins',
+  median: 'Median time',
+  fewestDnfs: 'Fewest DNFs'
+}
+
+export const DEFAULT_TIE_BREAKERS = ['bestTime', 'headToHead', 'median', 'fewestDnfs']
+
+/**
+ * Optional columns in the results tables, shown after the average (resultColumns setting)
+ * Speed columns need a track length in the track configuration.
+ */
+export const RESULT_COLUMNS = {
+  bestTime: { label: 'Best time', header: 'Best', decimals: 3 },
+  worstTime: { label: 'Worst time', header: 'Worst', decimals: 3 },
+  median: { label: 'Median time', header: 'Median', decimals: 3 },
+  stdDev: { label: 'Std deviation', header: 'Std Dev', decimals: 4 },
+  avgScaleMph: { label: 'Average scale mph', header: 'Avg mph', decimals: 0, needsTrack: true },
+  peakScaleMph: { label: 'Peak scale mph', header: 'Top mph', decimals: 0, needsTrack: true },
+  avgFps: { label: 'Average ft/s', header: 'Avg ft/s', decimals: 2, needsTrack: true },
+  peakFps: { label: 'Peak ft/s', header: 'Top ft/s', decimals: 2, needsTrack: true }
+}
+
+export const DEFAULT_RESULT_COLUMNS = ['bestTime', 'worstTime']
+
+/**
+ * Report settings that change how race data is processed, with their defaults
+ * Changing any of these re-runs processIntermediateData.
+ */
+export const DEFAULT_PROCESSING_OPTIONS = {
+  heatPolicy: 'latest',
+  avgMethod: 'dropSlowest',
+  pointsTable: DEFAULT_POINTS_TABLE,
+  grandFinalsKey: null,
+  finalsRules: DEFAULT_FINALS_RULES,
+  tieBreakers: DEFAULT_TIE_BREAKERS,
+  trackConfig: DEFAULT_TRACK_CONFIG,
+  outlierRules: DEFAULT_OUTLIER_RULES,
+  excludedResults: [], // heatResultKey of each heat result left out of the statistics
+  heatCorrections: [], // Manual corrections, oldest first (see corrections.js)
+  classTaxonomy: DEFAULT_TAXONOMY, // Class names, order, aliases and finals roles (see taxonomy.js)
+  racerMatches: [] // Confirmed and rejected racer identity matches (see racerIdentity.js)
+}
+
+/**
+ * Racer statistic that decides placement for a ranking method
+ * @param {string} avgMethod - Key of RANKING_METHODS
+ * @returns {string} - e.g. 'avgExceptSlowest', 'avgTime' or 'points'
+ */
+export function getRankingKey(avgMethod) {
+  return (RANKING_METHODS[avgMethod] || RANKING_METHODS.dropSlowest).statKey
+}
+
+/**
+ * Average time shown for a ranking method (points mode still shows a time)
+ * @param {string} avgMethod - Key of RANKING_METHODS
+ * @returns {string} - 'avgExceptSlowest' or 'avgTime'
+ */
+export function getAverageKey(avgMethod) {
+  return (RANKING_METHODS[avgMethod] || RANKING_METHODS.dropSlowest).timeKey
+}
+
+/**
+ * Pick the processing options out of the report settings
+ * @param {Object} settings - Report settings
+ * @returns {Object} - Processing options with defaults filled in
+ */
+export function getProcessingOptions(settings = {}) {
+  const options = {}
+  Object.entries(DEFAULT_PROCESSING_OPTIONS).forEach(([key, defaultValue]) => {
+    options[key] = settings[key] ?? defaultValue
+  })
+  return options
+}
+
+// A recorded time counts only if it is positive
+const hasFinishTime = (r) => r.FinishTime && r.FinishTime > 0
+
+// Explicit "not completed" markers (a missing Completed value is not treated as incomplete)
+const isMarkedIncomplete = (r) => [0, '0', 'false', 'False', 'FALSE'].includes(r.Completed)
+
+/**
+ * Review heat-level data quality: re-run lanes, unfinished heats and DNFs
+ * Re-runs are resolved according to heatPolicy; everything found is reported as sanity warnings.
+ * @param {Array} records - Merged records with mapped classes
+ * @param {string} heatPolicy - One of the HEAT_POLICIES keys
+ * @returns {Object} - { records: records to use for statistics, dnfRecords, warnings }
+ */
+export function reviewHeatResults(records, heatPolicy = DEFAULT_PROCESSING_OPTIONS.heatPolicy) {
+  const warnings = []
+  const racerName = (r) => `${r.FirstName} ${r.LastName} (#${r.CarNumber})`
+  const heatName = (r) => `${r.Class} round ${r.RoundID}, heat ${r.Heat}`
+  
+  // Re-runs: the same lane of the same heat with more than one recorded time
+  // (keyed on the source heat, so raw classes mapped to the same den never collide)
+  const dropped = new Set()
+  const rerunDetails = []
+  getRerunLanes(records).forEach(indexes => {
+    const latest = records[indexes[indexes.length - 1]]
+    rerunDetails.push({
+      kidCarYear: racerName(latest),
+      note: `${heatName(latest)}, lane ${latest.Lane}: ${indexes.map(i => records[i].FinishTime).join(' / ')}`
+    })
+    getDroppedRuns(indexes, heatPolicy).forEach(i => dropped.add(i))
+  })
+  
+  if (rerunDetails.length > 0) {
+    const outcome = {
+      latest: 'using the latest run',
+      discard: 'these results are excluded',
+      flag: 'every run is included in averages'
+    }[heatPolicy]
+    warnings.push({
+      type: 'rerun',
+      severity: 'warning',
+      message: `${rerunDetails.length} lane result(s) were recorded more than once (re-run heats) - ${outcome}`,
+      details: rerunDetails
+    })
+  }
+  
+  // Group rows by heat to find unfinished heats and DNFs
+  const heats = new Map()
+  records.forEach(r => {
+    const key = sourceHeatKey(r)
+    if (!heats.has(key)) heats.set(key, [])
+    heats.get(key).push(r)
+  })
+  
+  const unfinishedByRound = new Map()
+  const dnfRecords = []
+  const dnfDetails = []
+  heats.forEach(rows => {
+    const roundKey = `${sourceClassKey(rows[0])}|${rows[0].RoundID}`
+    if (!unfinishedByRound.has(roundKey)) unfinishedByRound.set(roundKey, { total: 0, unfinished: [] })
+    const round = unfinishedByRound.get(roundKey)
+    round.total++
+    
+    if (!rows.some(hasFinishTime)) {
+      round.unfinished.push(rows[0])
+      return
+    }
+    // Heat was run, so a lane without a time did not finish
+    rows.filter(r => !hasFinishTime(r)).forEach(r => {
+      dnfRecords.push(r)
+      dnfDetails.push({ kidCarYear: racerName(r), note: `${heatName(r)}, lane ${r.Lane}` })
+    })
+  })
+  
+  const partialDetails = []
+  const unracedRounds = []
+  unfinishedByRound.forEach(({ total, unfinished }) => {
+    if (unfinished.length === 0) return
+    if (unfinished.length === total) {
+      unracedRounds.push({ name: `${unfinished[0].Class} round ${unfinished[0].RoundID}`, note: `${total} heat(s)` })
+    } else {
+      unfinished.forEach(r => partialDetails.push({ name: heatName(r), note: 'no finish times' }))
+    }
+  })
+  
+  if (partialDetails.length > 0) {
+    warnings.push({
+      type: 'unfinished-heats',
+      severity: 'warning',
+      message: `${partialDetails.length} heat(s) in partially completed rounds have no finish times`,
+      details: partialDetails
+    })
+  }
+  
+  if (unracedRounds.length > 0) {
+    warnings.push({
+      type: 'unraced-rounds',
+      severity: 'info',
+      message: `${unracedRounds.length} round(s) have not been raced yet`,
+      details: unracedRounds
+    })
+  }
+  
+  if (dnfDetails.length > 0) {
+    warnings.push({
+      type: 'dnf',
+      severity: 'warning',
+      message: `${dnfDetails.length} DNF result(s) - no finish time in a heat that was run`,
+      details: dnfDetails
+    })
+  }
+  
+  // Times on rows the race software explicitly marks as not completed
+  const incompleteDetails = records
+    .filter(r => hasFinishTime(r) && isMarkedIncomplete(r))
+    .map(r => ({ kidCarYear: racerName(r), note: `${heatName(r)}, lane ${r.Lane}` }))
+  
+  if (incompleteDetails.length > 0) {
+    warnings.push({
+      type: 'not-completed',
+      severity: 'warning',
+      message: `${incompleteDetails.length} time(s) recorded in heats not marked as completed`,
+      details: incompleteDetails
+    })
+  }
+  
+  return {
+    records: records.filter((_, i) => !dropped.has(i)),
+    dnfRecords,
+    warnings
+  }
+}
+
+/**
+ * Sanity warnings listing the manual corrections applied
+ * @param {Array} corrections - All correction entries
+ * @param {Array} unmatched - Corrections whose heat result no longer exists
+ * @returns {Array} - Warnings in the sanity check format
+ */
+function correctionWarnings(corrections, unmatched) {
+  const warnings = []
+  const applied = corrections.filter(c => !unmatched.includes(c))
+  const detail = (c) => ({ name: describeCorrection(c), note: c.note })
+  
+  if (applied.length > 0) {
+    warnings.push({
+      type: 'corrections',
+      severity: 'info',
+      message: `${applied.length} heat result(s) corrected by hand`,
+      details: applied.map(detail)
+    })
+  }
+  
+  if (unmatched.length > 0) {
+    warnings.push({
+      type: 'unmatched-corrections',
+      severity: 'warning',
+      message: `${unmatched.length} correction(s) no longer match a heat result (were the files changed?)`,
+      details: unmatched.map(detail)
+    })
+  }
+  
+  return warnings
+}
+
+/**
+ * Sanity warnings for suspicious and excluded finish times
+ * @param {Array} resultReview - Flagged/excluded results ({ record, kind, reason, excluded })
+ * @returns {Array} - Warnings in the sanity check format
+ */
+function outlierWarnings(resultReview) {
+  const warnings = []
+  const detail = (o) => ({
+    kidCarYear: `${o.record.FirstName} ${o.record.LastName} (#${o.record.CarNumber})`,
+    note: `${o.record.Class} round ${o.record.RoundID}, heat ${o.record.Heat}, lane ${o.record.Lane}: ${o.record.FinishTime.toFixed(4)}s ${o.reason}`
+  })
+  
+  const counted = resultReview.filter(o => !o.excluded && o.kind !== 'manual')
+  const implausible = counted.filter(o => o.kind === 'implausible')
+  const statistical = counted.filter(o => o.kind === 'statistical')
+  const excluded = resultReview.filter(o => o.excluded)
+  
+  if (implausible.length > 0) {
+    warnings.push({
+      type: 'implausible-times',
+      severity: 'error',
+      message: `${implausible.length} finish time(s) outside the plausible range are still counted - likely timer glitches`,
+      details: implausible.map(detail)
+    })
+  }
+  
+  if (statistical.length > 0) {
+    warnings.push({
+      type: 'outliers',
+      severity: 'warning',
+      message: `${statistical.length} finish time(s) are unusual for their class`,
+      details: statistical.map(detail)
+    })
+  }
+  
+  if (excluded.length > 0) {
+    warnings.push({
+      type: 'excluded-results',
+      severity: 'info',
+      message: `${excluded.length} heat result(s) excluded from the statistics`,
+      details: excluded.map(detail)
+    })
+  }
+  
+  return warnings
+}
+
+/**
+ * Sanity warning for excluded results that no longer match a heat result
+ * @param {Array} unmatched - Keys from excludedResults
+ * @returns {Array} - Warnings in the sanity check format
+ */
+function unmatchedExclusionWarnings(unmatched) {
+  if (unmatched.length === 0) return []
+  return [{
+    type: 'unmatched-exclusions',
+    severity: 'warning',
+    message: `${unmatched.length} excluded result(s) no longer match a heat result (were the files or heat policy changed?)`,
+    details: unmatched.map(key => ({ name: describeHeatResultKey(key), note: 'excluded by hand' }))
+  }]
+}
+
+/**
+ * Sanity warning for racers that look like the same person under two identities
+ * @param {Array} racerMatches - Proposed matches from findRacerMatches
+ * @returns {Array} - Warnings in the sanity check format
+ */
+function racerMatchWarnings(racerMatches) {
+  if (racerMatches.length === 0) return []
+  return [{
+    type: 'possible-duplicate-racers',
+    severity: 'warning',
+    message: `${racerMatches.length} pair(s) of racers may be the same person - review them under Racer Matching`,
+    details: racerMatches.map(m => ({
+      name: m.identities.map(identity => identity.name).join(' / '),
+      note: m.reasons.join(', ')
+    }))
+  }]
+}
+
 /**
  * Process race data from intermediate format with class mapping
  * This is the new recommended approach for handling multiple SQLite files
- * @param {Array} intermediateDataSets - Array of { rawRecords, uniqueClasses, year }
+ * @param {Array} intermediateDataSets - Array of { rawRecords, uniqueClasses, year, fileName }
  * @param {Object} classMapping - Map from raw class name to standard den name
  * @param {number} year - The year for all data
+ * @param {Object} options - Processing options (see DEFAULT_PROCESSING_OPTIONS)
  * @returns {Object} - Processed race data with statistics and sanity check results
  */
-export function processIntermediateData(intermediateDataSets, classMapping, year) {
+export function processIntermediateData(intermediateDataSets, classMapping, year, options = {}) {
+  const {
+    heatPolicy, avgMethod, pointsTable, grandFinalsKey, finalsRules, tieBreakers, trackConfig,
+    outlierRules, excludedResults, heatCorrections, classTaxonomy, racerMatches
+  } = getProcessingOptions(options)
+  const rankingKey = getRankingKey(avgMethod)
+  
   // Apply class mapping to all records from all files and merge into single data table
   // This mergedData is the canonical data source for all further processing/display
-  const mergedData = []
+  // Each record remembers its source file, so heats are keyed where they were raced (see heatKeys.js)
+  const sourceRecords = []
+  const sourceNames = getSourceNames(intermediateDataSets)
   
-  intermediateDataSets.forEach(({ rawRecords }) => {
+  intermediateDataSets.forEach(({ rawRecords }, i) => {
     const mappedRecords = applyClassMapping(rawRecords, classMapping, year)
-    mergedData.push(...mappedRecords)
+    sourceRecords.push(...mappedRecords.map(r => ({ ...r, SourceFile: r.SourceFile || sourceNames[i] })))
   })
+  const mappedData = assignRunIndexes(sourceRecords)
+  
+  // Manual corrections replace the recorded results before anything is computed
+  const { records: correctedData, unmatched: unmatchedCorrections } = applyCorrections(mappedData, heatCorrections, heatPolicy)
+  
+  // Every record carries the stable racer key its identity resolves to (confirmed matches merged)
+  const racerKeys = resolveRacerKeys(correctedData, racerMatches)
+  const mergedData = correctedData.map(r => ({ ...r, RacerKey: racerKeys.get(identityKey(r)) }))
+  const proposedMatches = findRacerMatches(mergedData, racerMatches)
   
   // Perform sanity check
-  const sanityCheck = performSanityCheck(mergedData, 'Grand Finals')
+  const sanityCheck = performSanityCheck(mergedData, getFinalsClassName(classTaxonomy) || 'Grand Finals')
+  sanityCheck.warnings.push(...correctionWarnings(heatCorrections, unmatchedCorrections))
+  sanityCheck.warnings.push(...racerMatchWarnings(proposedMatches))
+  
+  // Resolve re-runs and report unfinished heats / DNFs alongside the other sanity warnings
+  const heatReview = reviewHeatResults(mergedData, heatPolicy)
+  sanityCheck.warnings.push(...heatReview.warnings)
+  
+  // Flag suspicious times; the review list also keeps excluded results that are no longer flagged
+  const excludedKeys = new Set(excludedResults)
+  const timedRecords = heatReview.records.filter(hasFinishTime)
+  const outliers = detectOutliers(timedRecords, outlierRules)
+  const flaggedKeys = new Set(outliers.map(o => o.key))
+  const resultReview = [
+    ...outliers,
+    ...timedRecords
+      .filter(r => excludedKeys.has(heatResultKey(r)) && !flaggedKeys.has(heatResultKey(r)))
+      .map(r => ({ key: heatResultKey(r), record: r, kind: 'manual', reason: 'excluded by hand' }))
+  ].map(o => ({ ...o, excluded: excludedKeys.has(o.key) }))
+  sanityCheck.warnings.push(...outlierWarnings(resultReview))
+  const timedKeys = new Set(timedRecords.map(heatResultKey))
+  const unmatchedExclusions = excludedResults.filter(key => !timedKeys.has(key))
+  sanityCheck.warnings.push(...unmatchedExclusionWarnings(unmatchedExclusions))
   
   // Get unique standard classes that have data
   const classesWithData = [...new Set(mergedData.map(r => r.Class))]
   
-  // Create classes array in correct den order
-  const denOrder = STANDARD_DEN_NAMES
+  // Create classes array in the taxonomy's order
   const classes = classesWithData
-    .sort((a, b) => denOrder.indexOf(a) - denOrder.indexOf(b))
+    .sort((a, b) => getClassSortIndex(a, classTaxonomy) - getClassSortIndex(b, classTaxonomy))
     .map((name, i) => ({
       id: i + 1,
       name: name
     }))
   
-  // Extract unique racers from mergedData
+  // Extract unique racers from mergedData (one per person, across den and finals classes)
   const racerMap = new Map()
   mergedData.forEach(record => {
-    const key = record.KidCarYear
+    const key = record.RacerKey
     if (!racerMap.has(key)) {
       racerMap.set(key, {
-        racerId: key, // Use KidCarYear as unique ID
+        racerId: record.KidCarYear,
+        racerKey: key,
         firstName: record.FirstName,
         lastName: record.LastName,
         carNumber: record.CarNumber,
@@ -188,18 +693,23 @@ export function processIntermediateData(intermediateDataSets, classMapping, year
   })
   const racers = Array.from(racerMap.values())
   
-  // Convert mergedData to race results format for statistics calculation
-  const raceResults = mergedData
-    .filter(r => r.FinishTime && r.FinishTime > 0)
+  // Convert reviewed records to race results format for statistics calculation
+  // roundId is the round's position within the raw class; heatKey identifies the heat in its source
+  const countedRecords = timedRecords.filter(r => !excludedKeys.has(heatResultKey(r)))
+  const roundNumber = getRoundNumbering(countedRecords)
+  const raceResults = countedRecords
     .map(r => ({
       racerId: r.KidCarYear,
+      racerKey: r.RacerKey,
       firstName: r.FirstName,
       lastName: r.LastName,
       carNumber: r.CarNumber,
       carName: r.CarName || '',
       classId: classes.find(c => c.name === r.Class)?.id || 0,
       className: r.Class,
-      roundId: r.RoundID,
+      sourceClass: sourceClassKey(r),
+      roundId: roundNumber(r),
+      heatKey: sourceHeatKey(r),
       heat: r.Heat,
       lane: r.Lane,
       finishTime: r.FinishTime,
@@ -208,6 +718,12 @@ export function processIntermediateData(intermediateDataSets, classMapping, year
       kidCarYear: r.KidCarYear
     }))
   
+  // Measure lane bias across all heats and record each time with the bias removed
+  const laneBias = analyzeLaneBias(raceResults)
+  raceResults.forEach(r => {
+    r.correctedTime = correctForLane(r.finishTime, r.lane, laneBias)
+  })
+  
   // Collect all finish times for histogram
   const allTimes = raceResults.map(r => ({
     time: r.finishTime,
@@ -216,49 +732,41 @@ export function processIntermediateData(intermediateDataSets, classMapping, year
   }))
   
   // Calculate statistics per racer per class
-  const racerStats = calculateRacerStatsFromMapped(raceResults)
+  const dnfCounts = new Map()
+  heatReview.dnfRecords.forEach(r => {
+    const key = `${r.RacerKey}|${r.Class}`
+    dnfCounts.set(key, (dnfCounts.get(key) || 0) + 1)
+  })
+  const racerStats = calculateRacerStatsFromMapped(raceResults, { pointsTable, dnfCounts, trackConfig })
   
   // Group results by class
   const resultsByClass = {}
   classes.forEach(cls => {
-    const classResults = racerStats.filter(r => r.className === cls.name)
-    // Sort by average time (excluding slowest)
-    classResults.sort((a, b) => a.avgExceptSlowest - b.avgExceptSlowest)
+    // Sort into finishing order (final round first, then the selected ranking method)
+    const classResults = sortRacerResults(racerStats.filter(r => r.className === cls.name), rankingKey, tieBreakers)
     // Use lowercase name as key for compatibility with existing code
     const classKey = cls.name.toLowerCase()
     resultsByClass[classKey] = classResults
   })
   
-  // Identify finalists (top 1 from each den)
-  const finalists = []
-  const wildcards = []
-  
-  const denClasses = classes.filter(c => c.name !== 'Grand Finals')
-  
-  denClasses.forEach(cls => {
-    const classKey = cls.name.toLowerCase()
-    const results = resultsByClass[classKey]
-    if (results && results.length > 0) {
-      finalists.push(results[0].racerId)
-    }
-  })
-  
-  // Identify wildcards (fastest non-finalists)
-  const allDenResults = denClasses.flatMap(cls => resultsByClass[cls.name.toLowerCase()] || [])
-  const nonFinalists = allDenResults.filter(r => !finalists.includes(r.racerId))
-  nonFinalists.sort((a, b) => a.avgExceptSlowest - b.avgExceptSlowest)
-  
-  // Top wildcards to fill grand finals
-  const wildcardCount = Math.max(0, 12 - finalists.length)
-  nonFinalists.slice(0, wildcardCount).forEach(r => {
-    wildcards.push(r.racerId)
-  })
+  // Pick Grand Finals qualifiers from the den classes (taxonomy classes marked as excluded never qualify)
+  const finalsClassKey = grandFinalsKey || findFinalsClassKey(classes, classTaxonomy)
+  const rules = { ...DEFAULT_FINALS_RULES, ...finalsRules }
+  const { finalists, wildcards, warnings: finalsWarnings } = selectFinalists(
+    classes,
+    resultsByClass,
+    { ...rules, excludedClasses: [...new Set([...rules.excludedClasses, ...getFinalsExcludedKeys(classTaxonomy)])] },
+    rankingKey,
+    finalsClassKey,
+    tieBreakers
+  )
+  sanityCheck.warnings.push(...finalsWarnings)
   
   // Get grand finals results
-  const grandFinalsResults = resultsByClass['grand finals'] || []
+  const grandFinalsResults = (finalsClassKey && resultsByClass[finalsClassKey]) || []
   
   // Calculate totals
-  const totalHeats = new Set(raceResults.map(r => `${r.classId}-${r.heat}`)).size
+  const totalHeats = new Set(raceResults.map(r => r.heatKey)).size
   const totalRaces = raceResults.length
   
   return {
@@ -271,79 +779,410 @@ export function processIntermediateData(intermediateDataSets, classMapping, year
     grandFinalsResults,
     totalHeats,
     totalRaces,
+    laneBias,
+    resultReview, // Suspicious and excluded heat results: [{ key, record, kind, reason, excluded }]
+    unmatchedExclusions, // Keys in excludedResults that no longer match a heat result
+    proposedMatches, // Racers that may be the same person: [{ id, keys, score, reasons, identities }]
     sanityCheck, // Include sanity check results
+    countedRecords, // Heat results counted in the statistics (re-runs resolved, exclusions dropped)
+    mappedData, // Merged records before manual corrections (what the correction editor lists)
     mergedData // The canonical merged intermediate data table for all display/analysis
   }
 }
 
+/**
+ * Select Grand Finals qualifiers: the top racers of each den, then wildcards to fill the field
+ * @param {Array} classes - Classes in the race ({ name })
+ * @param {Object} resultsByClass - Sorted racer results keyed by lowercase class name
+ * @param {Object} rules - Finals rules (see DEFAULT_FINALS_RULES)
+ * @param {string} rankingKey - Ranking statistic used to compare racers across dens
+ * @param {string|null} finalsClassKey - Key of the Grand Finals class, which never qualifies racers
+ * @param {Array<string>} tieBreakers - Keys of TIE_BREAKERS, in order
+ * @returns {Object} - { finalists, wildcards, warnings } (racer ids)
+ */
+export function selectFinalists(classes, resultsByClass, rules, rankingKey, finalsClassKey, tieBreakers = DEFAULT_TIE_BREAKERS) {
+  const { topPerDen, finalsSize, wildcardPool, maxWildcardsPerDen, excludedClasses } = rules
+  const warnings = []
+  
+  const denKeys = classes
+    .map(c => c.name.toLowerCase())
+    .filter(key => key !== finalsClassKey && !excludedClasses.includes(key))
+  
+  // Automatic qualifiers
+  const finalists = []
+  const remainingByDen = new Map()
+  denKeys.forEach(key => {
+    const results = resultsByClass[key] || []
+    results.slice(0, topPerDen).forEach(r => finalists.push(r.racerId))
+    remainingByDen.set(key, results.slice(topPerDen))
+  })
+  
+  if (finalists.length > finalsSize) {
+    warnings.push({
+      type: 'finals-overflow',
+      severity: 'warning',
+      message: `${finalists.length} racers qualify automatically (top ${topPerDen} of ${denKeys.length} dens), more than the finals size of ${finalsSize}`,
+      details: []
+    })
+  }
+  
+  // Wildcards fill the remaining spots
+  const wildcards = []
+  const wildcardsByDen = new Map(denKeys.map(key => [key, 0]))
+  const slots = Math.max(0, finalsSize - finalists.length)
+  const denHasRoom = (key) => !maxWildcardsPerDen || wildcardsByDen.get(key) < maxWildcardsPerDen
+  const take = (key, racer) => {
+    wildcards.push(racer.racerId)
+    wildcardsByDen.set(key, wildcardsByDen.get(key) + 1)
+  }
+  
+  if (wildcardPool === 'roundRobin') {
+    // One from each den per pass, in class order, until the field is full
+    let added = true
+    while (wildcards.length < slots && added) {
+      added = false
+      for (const key of denKeys) {
+        if (wildcards.length >= slots) break
+        const next = remainingByDen.get(key).shift()
+        if (next && denHasRoom(key)) {
+          take(key, next)
+          added = true
+        }
+      }
+    }
+  } else {
+    const pool = denKeys
+      .flatMap(key => remainingByDen.get(key).map(racer => ({ key, racer })))
+      .sort((a, b) => compareRankingValues(a.racer, b.racer, rankingKey, tieBreakers))
+    for (const { key, racer } of pool) {
+      if (wildcards.length >= slots) break
+      if (denHasRoom(key)) take(key, racer)
+    }
+  }
+  
+  return { finalists, wildcards, warnings }
+}
+
+/**
+ * Total points for a set of heats
+ * @param {Array<number>} finishPlaces - Finish place per heat (1 = first)
+ * @param {Array<number>} pointsTable - Points per place, index 0 = 1st place
+ * @returns {number}
+ */
+function sumPoints(finishPlaces, pointsTable) {
+  return finishPlaces.reduce((total, place) => total + (pointsTable[place - 1] || 0), 0)
+}
+
+/**
+ * Summary statistics for a set of finish times
+ * @param {Array<number>} finishTimes - Finish times (zero/missing times are ignored)
+ * @returns {Object} - { avgTime, avgExceptSlowest, bestTime, worstTime, median, stdDev, raceCount }
+ */
+function summarizeTimes(finishTimes) {
+  const times = finishTimes.filter(t => t > 0)
+  const n = times.length
+  
+  if (n === 0) {
+    return {
+      avgTime: 0,
+      avgExceptSlowest: 0,
+      bestTime: 0,
+      worstTime: 0,
+      median: 0,
+      stdDev: 0,
+      raceCount: 0
+    }
+  }
+  
+  const sorted = [...times].sort((a, b) => a - b)
+  const sum = times.reduce((a, b) => a + b, 0)
+  const avg = sum / n
+  const max = Math.max(...times)
+  const min = Math.min(...times)
+  
+  // Average excluding slowest time
+  const avgExceptSlowest = n > 1 
+    ? (sum - max) / (n - 1)
+    : avg
+  
+  // Median
+  const median = n % 2 === 0
+    ? (sorted[n/2 - 1] + sorted[n/2]) / 2
+    : sorted[Math.floor(n/2)]
+  
+  // Standard deviation
+  const squaredDiffs = times.map(t => Math.pow(t - avg, 2))
+  const avgSquaredDiff = squaredDiffs.reduce((a, b) => a + b, 0) / n
+  const stdDev = Math.sqrt(avgSquaredDiff)
+  
+  return {
+    avgTime: avg,
+    avgExceptSlowest,
+    bestTime: min,
+    worstTime: max,
+    median,
+    stdDev,
+    raceCount: n
+  }
+}
+
+/**
+ * Display label for a round within a class's sequence of rounds
+ * The last round is the Final, the one before it (with 3+ rounds) the Semifinal,
+ * and everything earlier a Prelim.
+ * @param {number} roundId - The round being labeled
+ * @param {Array<number>} classRoundIds - All round ids raced in the class, ascending
+ * @returns {string} - e.g. "Prelim", "Prelim 2", "Semifinal", "Final" ('' for single-round classes)
+ */
+export function getRoundLabel(roundId, classRoundIds) {
+  const n = classRoundIds.length
+  if (n <= 1) return ''
+  
+  const index = classRoundIds.indexOf(roundId)
+  if (index === n - 1) return 'Final'
+  if (index === n - 2 && n >= 3) return 'Semifinal'
+  
+  const prelimCount = n >= 3 ? n - 2 : n - 1
+  return prelimCount > 1 ? `Prelim ${index + 1}` : 'Prelim'
+}
+
+/**
+ * The value a racer is ranked on: their time or points in the last round they raced
+ * For single-round classes this is simply the racer's overall value.
+ * @param {Object} racer - Racer statistics from processIntermediateData
+ * @param {string} avgKey - Ranking statistic (see getRankingKey)
+ * @returns {number}
+ */
+export function getRankingValue(racer, avgKey = 'avgExceptSlowest') {
+  const decidingRound = racer.rounds?.find(r => r.roundId === racer.decidingRound)
+  return (decidingRound || racer)[avgKey] || 0
+}
+
+const isHigherBetter = (avgKey) =>
+  Object.values(RANKING_METHODS).some(m => m.statKey === avgKey && m.higherIsBetter)
+
+/**
+ * Compare two racers on their ranking value alone (no round handling)
+ * Used directly when ranking racers from different classes, e.g. wildcards and finals
+ * seeds. Values are compared at the displayed precision like the report, and ties
+ * go through the same tie-breakers, skipping the round checks that only apply within a class.
+ * @param {Object} a - Racer statistics
+ * @param {Object} b - Racer statistics
+ * @param {string} avgKey - Ranking statistic (see getRankingKey)
+ * @param {Array<string>} tieBreakers - Keys of TIE_BREAKERS, in order
+ * @returns {number} - Negative if a ranks ahead of b
+ */
+export function compareRankingValues(a, b, avgKey = 'avgExceptSlowest', tieBreakers = DEFAULT_TIE_BREAKERS) {
+  const diff = compareStat(decidingStats(a), decidingStats(b), avgKey)
+  if (diff !== 0) return diff
+  return breakSameRoundTie(a, b, avgKey, tieBreakers).diff
+}
+
+const roundToRanking = (value) => Number((value || 0).toFixed(RANKING_DECIMALS))
+
+// Compare one round's (or overall) stats at the displayed precision; negative if a is better
+function compareStat(a, b, avgKey) {
+  const diff = roundToRanking(a[avgKey]) - roundToRanking(b[avgKey])
+  return isHigherBetter(avgKey) ? -diff : diff
+}
+
+// Stats for the round that decided a racer's placement (overall stats for single-round classes)
+const decidingStats = (racer) => racer.rounds?.find(r => r.roundId === racer.decidingRound) || racer
+
+// Each tie-breaker returns a negative number if a wins the tie
+const TIE_BREAKER_COMPARATORS = {
+  bestTime: (a, b) => compareStat(decidingStats(a), decidingStats(b), 'bestTime'),
+  median: (a, b) => compareStat(decidingStats(a), decidingStats(b), 'median'),
+  headToHead: (a, b) => {
+    const record = a.headToHead?.[b.racerKey]
+    return record ? record.losses - record.wins : 0
+  },
+  fewestDnfs: (a, b) => (a.dnfCount || 0) - (b.dnfCount || 0)
+}
+
+/**
+ * Whether two racers in the same class are tied at the displayed precision
+ * @param {Object} a - Racer statistics
+ * @param {Object} b - Racer statistics
+ * @param {string} avgKey - Ranking statistic (see getRankingKey)
+ * @returns {boolean}
+ */
+export function isTied(a, b, avgKey = 'avgExceptSlowest') {
+  return (a.decidingRound ?? 0) === (b.decidingRound ?? 0) &&
+    compareStat(decidingStats(a), decidingStats(b), avgKey) === 0
+}
+
+/**
+ * Separate two tied racers
+ * Earlier rounds are checked first (latest first), then the average time when
+ * ranking by points, then the configured tie-breakers in order.
+ * @param {Object} a - Racer statistics
+ * @param {Object} b - Racer statistics
+ * @param {string} avgKey - Ranking statistic (see getRankingKey)
+ * @param {Array<string>} tieBreakers - Keys of TIE_BREAKERS, in the order to apply them
+ * @returns {Object} - { diff (negative if a places ahead), reason (what decided it, or null if still tied) }
+ */
+export function breakTie(a, b, avgKey = 'avgExceptSlowest', tieBreakers = DEFAULT_TIE_BREAKERS) {
+  const earlierRounds = [...(a.rounds || [])]
+    .filter(r => r.roundId !== a.decidingRound)
+    .sort((x, y) => y.roundId - x.roundId)
+  for (const roundA of earlierRounds) {
+    const roundB = b.rounds?.find(r => r.roundId === roundA.roundId)
+    if (!roundB) continue
+    const diff = compareStat(roundA, roundB, avgKey)
+    if (diff !== 0) return { diff, reason: `${roundA.label || 'Earlier round'} result` }
+  }
+  
+  return breakSameRoundTie(a, b, avgKey, tieBreakers)
+}
+
+// The average time when ranking by points, then the tie-breakers in order
+function breakSameRoundTie(a, b, avgKey, tieBreakers) {
+  if (isHigherBetter(avgKey)) {
+    const diff = compareStat(decidingStats(a), decidingStats(b), RANKING_METHODS.points.timeKey)
+    if (diff !== 0) return { diff, reason: 'Faster average' }
+  }
+  
+  for (const key of tieBreakers) {
+    const compare = TIE_BREAKER_COMPARATORS[key]
+    if (!compare) continue
+    const diff = compare(a, b)
+    if (diff !== 0) return { diff, reason: TIE_BREAKERS[key] }
+  }
+  return { diff: 0, reason: null }
+}
+
+/**
+ * Round-aware comparison of two racers in the same class
+ * Racers who reached a later round place ahead of those eliminated earlier; within
+ * the same round the deciding round's average (or points) decides at the displayed
+ * precision, and ties go through breakTie.
+ * @param {Object} a - Racer statistics
+ * @param {Object} b - Racer statistics
+ * @param {string} avgKey - Ranking statistic (see getRankingKey)
+ * @param {Array<string>} tieBreakers - Keys of TIE_BREAKERS, in order
+ * @returns {number} - Negative if a places ahead of b
+ */
+export function compareRacerResults(a, b, avgKey = 'avgExceptSlowest', tieBreakers = DEFAULT_TIE_BREAKERS) {
+  const roundDiff = (b.decidingRound ?? 0) - (a.decidingRound ?? 0)
+  if (roundDiff !== 0) return roundDiff
+  
+  const rankDiff = compareStat(decidingStats(a), decidingStats(b), avgKey)
+  if (rankDiff !== 0) return rankDiff
+  
+  return breakTie(a, b, avgKey, tieBreakers).diff
+}
+
+/**
+ * Sort racer results into finishing order (see compareRacerResults)
+ * Racers tied with a neighbor get `tie: { reason }`, where reason is what separated
+ * them (null if nothing did and they share the place).
+ * @param {Array} results - Racer statistics for one class
+ * @param {string} avgKey - Ranking statistic (see getRankingKey)
+ * @param {Array<string>} tieBreakers - Keys of TIE_BREAKERS, in order
+ * @returns {Array} - New sorted array
+ */
+export function sortRacerResults(results, avgKey = 'avgExceptSlowest', tieBreakers = DEFAULT_TIE_BREAKERS) {
+  const sorted = [...results].sort((a, b) => compareRacerResults(a, b, avgKey, tieBreakers))
+  
+  return sorted.map((racer, i) => {
+    const prev = sorted[i - 1]
+    const next = sorted[i + 1]
+    // Explain the tie with the racer ahead; the first of a tied group uses the one behind
+    const pair = prev && isTied(prev, racer, avgKey) ? [prev, racer]
+      : next && isTied(racer, next, avgKey) ? [racer, next]
+      : null
+    const tie = pair ? { reason: breakTie(pair[0], pair[1], avgKey, tieBreakers).reason } : null
+    return { ...racer, tie }
+  })
+}
+
 /**
  * Calculate statistics for each racer from mapped records
+ * Overall stats cover every heat the racer ran in the class; `rounds` holds the
+ * same stats per round and `decidingRound` is the last round they raced.
  * @param {Array} raceResults - Race results with mapped class names
+ * @param {Object} options - { pointsTable (points scoring), dnfCounts (Map of DNFs per
+ *                             `${racerKey}|${className}`), trackConfig (speed stats) }
  * @returns {Array} - Racer statistics
  */
-function calculateRacerStatsFromMapped(raceResults) {
-  // Group by kidCarYear + className
+function calculateRacerStatsFromMapped(raceResults, {
+  pointsTable = DEFAULT_POINTS_TABLE,
+  dnfCounts = new Map(),
+  trackConfig = DEFAULT_TRACK_CONFIG
+} = {}) {
+  const headToHead = computeHeadToHead(raceResults)
+  
+  // Rounds raced in each raw class, for labeling
+  const classRoundIds = new Map()
+  raceResults.forEach(result => {
+    if (!classRoundIds.has(result.sourceClass)) classRoundIds.set(result.sourceClass, new Set())
+    classRoundIds.get(result.sourceClass).add(Number(result.roundId) || 0)
+  })
+  classRoundIds.forEach((ids, sourceClass) => {
+    classRoundIds.set(sourceClass, Array.from(ids).sort((a, b) => a - b))
+  })
+  
+  // Group by racer key + className, so identities merged as one racer share their stats
   const groups = new Map()
   
   raceResults.forEach(result => {
-    const key = `${result.kidCarYear}|${result.className}`
+    const key = `${result.racerKey}|${result.className}`
     if (!groups.has(key)) {
       groups.set(key, {
         racerId: result.racerId,
+        racerKey: result.racerKey,
         firstName: result.firstName,
         lastName: result.lastName,
         carNumber: result.carNumber,
         carName: result.carName,
         classId: result.classId,
         className: result.className,
+        sourceClass: result.sourceClass,
         kidCarYear: result.kidCarYear,
-        times: []
+        heats: [],
+        heatsByRound: new Map()
       })
     }
-    groups.get(key).times.push(result.finishTime)
+    const group = groups.get(key)
+    const roundId = Number(result.roundId) || 0
+    group.heats.push(result)
+    if (!group.heatsByRound.has(roundId)) group.heatsByRound.set(roundId, [])
+    group.heatsByRound.get(roundId).push(result)
   })
   
+  const summarizeHeats = (heats) => {
+    const correctedTimes = heats.map(h => h.correctedTime).filter(t => t > 0)
+    const timeStats = summarizeTimes(heats.map(h => h.finishTime))
+    return {
+      ...timeStats,
+      // Average speed is distance over average time; peak speed comes from the best heat
+      avgFps: feetPerSecond(timeStats.avgTime, trackConfig),
+      peakFps: feetPerSecond(timeStats.bestTime, trackConfig),
+      avgScaleMph: scaleMph(timeStats.avgTime, trackConfig),
+      peakScaleMph: scaleMph(timeStats.bestTime, trackConfig),
+      avgLaneCorrected: correctedTimes.length > 0
+        ? correctedTimes.reduce((a, b) => a + b, 0) / correctedTimes.length
+        : 0,
+      points: sumPoints(heats.map(h => h.finishPlace), pointsTable)
+    }
+  }
+  
   // Calculate stats for each group
   return Array.from(groups.values()).map(group => {
-    const times = group.times.filter(t => t > 0)
-    const n = times.length
-    
-    if (n === 0) {
-      return {
-        ...group,
-        avgTime: 0,
-        avgExceptSlowest: 0,
-        bestTime: 0,
-        worstTime: 0,
-        median: 0,
-        stdDev: 0,
-        raceCount: 0
-      }
-    }
-    
-    const sorted = [...times].sort((a, b) => a - b)
-    const sum = times.reduce((a, b) => a + b, 0)
-    const avg = sum / n
-    const max = Math.max(...times)
-    const min = Math.min(...times)
-    
-    // Average excluding slowest time
-    const avgExceptSlowest = n > 1 
-      ? (sum - max) / (n - 1)
-      : avg
-    
-    // Median
-    const median = n % 2 === 0
-      ? (sorted[n/2 - 1] + sorted[n/2]) / 2
-      : sorted[Math.floor(n/2)]
-    
-    // Standard deviation
-    const squaredDiffs = times.map(t => Math.pow(t - avg, 2))
-    const avgSquaredDiff = squaredDiffs.reduce((a, b) => a + b, 0) / n
-    const stdDev = Math.sqrt(avgSquaredDiff)
+    const roundIds = classRoundIds.get(group.sourceClass)
+    const rounds = Array.from(group.heatsByRound.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([roundId, heats]) => ({
+        roundId,
+        label: getRoundLabel(roundId, roundIds),
+        ...summarizeHeats(heats)
+      }))
+    const decidingRound = rounds[rounds.length - 1].roundId
     
     return {
       racerId: group.racerId,
+      racerKey: group.racerKey,
       firstName: group.firstName,
       lastName: group.lastName,
       carNumber: group.carNumber,
@@ -351,13 +1190,13 @@ function calculateRacerStatsFromMapped(raceResults) {
       classId: group.classId,
       className: group.className,
       kidCarYear: group.kidCarYear,
-      avgTime: avg,
-      avgExceptSlowest,
-      bestTime: min,
-      worstTime: max,
-      median,
-      stdDev,
-      raceCount: n
+      ...summarizeHeats(group.heats),
+      rounds,
+      decidingRound,
+      roundLabel: getRoundLabel(decidingRound, roundIds),
+      classRoundCount: roundIds.length,
+      dnfCount: dnfCounts.get(`${group.racerKey}|${group.className}`) || 0,
+      headToHead: headToHead.get(`${group.racerKey}|${group.className}`) || {}
     }
   })
 }
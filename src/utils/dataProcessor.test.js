@@ -0,0 +1,202 @@
+import { describe, it, expect } from 'vitest'
+import { reviewHeatResults, sortRacerResults, getRoundLabel, processIntermediateData } from './dataProcessor'
+import { heatResult } from '../test/records'
+
+const warningOf = (review, type) => review.warnings.find(w => w.type === type)
+
+describe('reviewHeatResults', () => {
+  const rerun = [
+    heatResult({ FinishTime: 3.2, RunIndex: 1 }),
+    heatResult({ FinishTime: 3.5, RunIndex: 0 }),
+    heatResult({ FirstName: 'Max', CarNumber: '2', Lane: 2, FinishTime: 3.1, RunIndex: 0 })
+  ]
+
+  it('keeps only the latest run of a re-run lane by run index, not array position', () => {
+    const review = reviewHeatResults(rerun, 'latest')
+    expect(review.records.map(r => r.FinishTime)).toEqual([3.2, 3.1])
+    expect(warningOf(review, 'rerun').details).toHaveLength(1)
+  })
+
+  it('drops every run of a re-run lane under the discard policy', () => {
+    const review = reviewHeatResults(rerun, 'discard')
+    expect(review.records.map(r => r.FinishTime)).toEqual([3.1])
+  })
+
+  it('keeps every run under the flag policy', () => {
+    expect(reviewHeatResults(rerun, 'flag').records).toHaveLength(3)
+  })
+
+  it('does not treat raw classes mapped to the same den as re-runs', () => {
+    const records = [
+      heatResult({ OriginalClass: 'Wolves A' }),
+      heatResult({ OriginalClass: 'Wolves B', FirstName: 'Max', CarNumber: '2' })
+    ]
+    const review = reviewHeatResults(records, 'latest')
+    expect(review.records).toHaveLength(2)
+    expect(warningOf(review, 'rerun')).toBeUndefined()
+  })
+
+  it('does not treat the same heat from two files as re-runs', () => {
+    const records = [heatResult({}), heatResult({ SourceFile: 'race.sqlite (2)', FirstName: 'Max', CarNumber: '2' })]
+    expect(reviewHeatResults(records, 'latest').records).toHaveLength(2)
+  })
+
+  it('counts a lane without a time in a heat that was run as a DNF', () => {
+    const records = [heatResult({}), heatResult({ FirstName: 'Max', CarNumber: '2', Lane: 2, FinishTime: 0 })]
+    const review = reviewHeatResults(records, 'latest')
+    expect(review.dnfRecords.map(r => r.FirstName)).toEqual(['Max'])
+    expect(warningOf(review, 'dnf')).toBeDefined()
+  })
+
+  it('reports heats without any time as unraced rather than DNFs', () => {
+    const records = [
+      heatResult({ RoundID: 2, FinishTime: 0 }),
+      heatResult({ RoundID: 2, FirstName: 'Max', CarNumber: '2', Lane: 2, FinishTime: 0 })
+    ]
+    const review = reviewHeatResults(records, 'latest')
+    expect(review.dnfRecords).toHaveLength(0)
+    expect(warningOf(review, 'unraced-rounds').details).toHaveLength(1)
+  })
+})
+
+// Racer statistics as calculateRacerStatsFromMapped builds them, one entry per round raced
+const racer = (name, rounds, extra = {}) => ({
+  racerId: name,
+  racerKey: name,
+  firstName: name,
+  rounds: rounds.map(([roundId, avgExceptSlowest]) => ({ roundId, avgExceptSlowest, bestTime: avgExceptSlowest })),
+  decidingRound: rounds[rounds.length - 1][0],
+  avgExceptSlowest: rounds[rounds.length - 1][1],
+  ...extra
+})
+
+const names = (results) => results.map(r => r.firstName)
+
+describe('getRoundLabel', () => {
+  it('labels the rounds of a class from last to first', () => {
+    expect(getRoundLabel(1, [1])).toBe('')
+    expect(getRoundLabel(1, [1, 2])).toBe('Prelim')
+    expect(getRoundLabel(2, [1, 2])).toBe('Final')
+    expect(getRoundLabel(2, [1, 2, 3])).toBe('Semifinal')
+    expect(getRoundLabel(2, [1, 2, 3, 4])).toBe('Prelim 2')
+  })
+})
+
+describe('sortRacerResults with rounds', () => {
+  it('places racers who reached a later round ahead of faster racers eliminated earlier', () => {
+    const results = [
+      racer('Fast', [[1, 2.9]]),
+      racer('Finalist', [[1, 3.1], [2, 3.2]])
+    ]
+    expect(names(sortRacerResults(results))).toEqual(['Finalist', 'Fast'])
+  })
+
+  it('ranks racers within the same round on that round alone', () => {
+    const results = [
+      racer('A', [[1, 2.8], [2, 3.3]]),
+      racer('B', [[1, 3.4], [2, 3.1]])
+    ]
+    expect(names(sortRacerResults(results))).toEqual(['B', 'A'])
+  })
+})
+
+describe('processIntermediateData rounds', () => {
+  // GrandPrix numbers rounds across the whole race, so two raw classes can both be
+  // a single round with different ids
+  const rawRecords = [
+    { Class: 'Wolves A', RoundID: 3, FirstName: 'Ann', FinishTime: 3.2 },
+    { Class: 'Wolves A', RoundID: 3, FirstName: 'Ben', FinishTime: 3.4, Lane: 2 },
+    { Class: 'Wolves B', RoundID: 4, FirstName: 'Cal', FinishTime: 3.3 },
+    { Class: 'Wolves B', RoundID: 4, FirstName: 'Dee', FinishTime: 3.5, Lane: 2 }
+  ].map(r => ({ LastName: 'Lee', CarNumber: r.FirstName, Heat: 1, Lane: 1, Completed: 1, FinishPlace: 1, ...r }))
+
+  const processed = processIntermediateData(
+    [{ rawRecords, fileName: 'race.sqlite' }],
+    { 'Wolves A': 'Wolf Den', 'Wolves B': 'Wolf Den' },
+    2025,
+    {}
+  )
+
+  it('numbers rounds within their own raw class, so a merged den is ranked on time', () => {
+    const results = processed.resultsByClass['wolf den']
+    expect(names(results)).toEqual(['Ann', 'Cal', 'Ben', 'Dee'])
+    expect(results.every(r => r.roundLabel === '')).toBe(true)
+  })
+
+  it('counts heats by the heat they were raced in', () => {
+    expect(processed.totalHeats).toBe(2)
+  })
+})
+
+describe('sortRacerResults by points', () => {
+  const pointsRacer = (name, points, avgExceptSlowest) => ({
+    racerId: name,
+    racerKey: name,
+    firstName: name,
+    points,
+    avgExceptSlowest,
+    decidingRound: 1
+  })
+
+  it('ranks the most points first', () => {
+    const results = [pointsRacer('A', 6, 3.0), pointsRacer('B', 8, 3.2)]
+    expect(names(sortRacerResults(results, 'points'))).toEqual(['B', 'A'])
+  })
+
+  it('separates equal points by the faster average', () => {
+    const sorted = sortRacerResults([pointsRacer('A', 8, 3.2), pointsRacer('B', 8, 3.0)], 'points')
+    expect(names(sorted)).toEqual(['B', 'A'])
+    expect(sorted[0].tie.reason).toBe('Faster average')
+  })
+
+  it('scores heats from the points table in processIntermediateData', () => {
+    const rawRecords = [
+      { FirstName: 'Ann', Heat: 1, Lane: 1, FinishTime: 3.0, FinishPlace: 1 },
+      { FirstName: 'Ben', Heat: 1, Lane: 2, FinishTime: 3.1, FinishPlace: 2 },
+      { FirstName: 'Ann', Heat: 2, Lane: 2, FinishTime: 3.3, FinishPlace: 2 },
+      { FirstName: 'Ben', Heat: 2, Lane: 1, FinishTime: 3.2, FinishPlace: 1 },
+      { FirstName: 'Ann', Heat: 3, Lane: 1, FinishTime: 3.0, FinishPlace: 1 },
+      { FirstName: 'Ben', Heat: 3, Lane: 2, FinishTime: 3.4, FinishPlace: 2 }
+    ].map(r => ({ LastName: 'Lee', CarNumber: r.FirstName, Class: 'Wolves', RoundID: 1, Completed: 1, ...r }))
+    const processed = processIntermediateData(
+      [{ rawRecords, fileName: 'race.sqlite' }], { Wolves: 'Wolf Den' }, 2025,
+      { avgMethod: 'points', pointsTable: [5, 2] }
+    )
+    const results = processed.resultsByClass['wolf den']
+    expect(results.map(r => [r.firstName, r.points])).toEqual([['Ann', 12], ['Ben', 9]])
+  })
+})
+
+describe('sortRacerResults ties', () => {
+  it('treats averages equal at the displayed precision as a tie', () => {
+    const sorted = sortRacerResults([
+      racer('A', [[1, 3.00004]], { rounds: [{ roundId: 1, avgExceptSlowest: 3.00004, bestTime: 2.95 }] }),
+      racer('B', [[1, 3.00001]], { rounds: [{ roundId: 1, avgExceptSlowest: 3.00001, bestTime: 2.9 }] })
+    ])
+    expect(names(sorted)).toEqual(['B', 'A'])
+    expect(sorted.map(r => r.tie?.reason)).toEqual(['Best single heat', 'Best single heat'])
+  })
+
+  it('settles a tie on the latest earlier round before the tie-breakers', () => {
+    const sorted = sortRacerResults([
+      racer('A', [[1, 3.2], [2, 3.0]]),
+      racer('B', [[1, 3.1], [2, 3.0]])
+    ])
+    expect(names(sorted)).toEqual(['B', 'A'])
+    expect(sorted[0].tie.reason).toBe('Earlier round result')
+  })
+
+  it('applies the tie-breakers in the configured order', () => {
+    const tied = [
+      racer('A', [[1, 3.0]], { dnfCount: 0, headToHead: { B: { wins: 0, losses: 2, heats: 2 } } }),
+      racer('B', [[1, 3.0]], { dnfCount: 1, headToHead: { A: { wins: 2, losses: 0, heats: 2 } } })
+    ]
+    expect(names(sortRacerResults(tied, 'avgExceptSlowest', ['headToHead', 'fewestDnfs']))).toEqual(['B', 'A'])
+    expect(names(sortRacerResults(tied, 'avgExceptSlowest', ['fewestDnfs', 'headToHead']))).toEqual(['A', 'B'])
+  })
+
+  it('leaves racers sharing the place when nothing separates them', () => {
+    const sorted = sortRacerResults([racer('A', [[1, 3.0]]), racer('B', [[1, 3.0]])], 'avgExceptSlowest', [])
+    expect(sorted.map(r => r.tie)).toEqual([{ reason: null }, { reason: null }])
+  })
+})
@@ -0,0 +1,108 @@
+/**
+ * Promise-based wrapper around the database Web Worker
+ * Requests are matched to responses by id; progress messages are forwarded to
+ * the caller's onProgress callback as ({ fileName, index, total }).
+ */
+
+let worker = null
+let nextRequestId = 1
+const pendingRequests = new Map()
+
+function getWorker() {
+  if (worker) return worker
+
+  worker = new Worker(new URL('../workers/databaseWorker.js', import.meta.url), { type: 'module' })
+
+  worker.onmessage = (e) => {
+    const { id, type, ...data } = e.data
+    const request = pendingRequests.get(id)
+    if (!request) return
+
+    if (type === 'progress') {
+      request.onProgress?.(data)
+    } else if (type === 'result') {
+      pendingRequests.delete(id)
+      request.resolve(data.result)
+    } else if (type === 'error') {
+      pendingRequests.delete(id)
+      request.reject(new Error(data.message))
+    }
+  }
+
+  worker.onerror = (e) => {
+    // A crashed worker fails every outstanding request
+    pendingRequests.forEach(request => request.reject(new Error(e.message || 'Database worker failed')))
+    pendingRequests.clear()
+    worker = null
+  }
+
+  return worker
+}
+
+function readFiles(files) {
+  return Promise.all(files.map(async file => ({
+    name: file.name,
+    buffer: await file.arrayBuffer()
+  })))
+}
+
+function sendRequest(type, payload, onProgress, transfer = []) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++
+    pendingRequests.set(id, { resolve, reject, onProgress })
+    getWorker().postMessage({ id, type, ...payload }, transfer)
+  })
+}
+
+/**
+ * Open SQLite files in the worker
+ * @param {Array<File>} files - Uploaded database files
+ * @param {Function} onProgress - Called with { fileName, index, total } per file
+ * @returns {Promise<Array>} - [{ dbId, name }] in upload order
+ */
+export async function loadDatabases(files, onProgress) {
+  const payload = await readFiles(files)
+  return sendRequest('load', { files: payload }, onProgress, payload.map(f => f.buffer))
+}
+
+/**
+ * Summarize SQLite files (format, racers, heats, completion) without keeping them open
+ * @param {Array<File>} files - Uploaded database files
+ * @returns {Promise<Array>} - Validation summaries in upload order
+ */
+export async function validateDatabases(files) {
+  const payload = await readFiles(files)
+  return sendRequest('validate', { files: payload }, null, payload.map(f => f.buffer))
+}
+
+/**
+ * Extract intermediate data from databases already open in the worker
+ * @param {Array<string>} dbIds - Ids returned by loadDatabases
+ * @param {number} year - The year to use for the data
+ * @param {Function} onProgress - Called with { fileName, index, total } per file
+ * @returns {Promise<Array>} - Intermediate data sets in the same order as dbIds
+ */
+export function extractDatabases(dbIds, year, onProgress) {
+  return sendRequest('extract', { dbIds, year }, onProgress)
+}
+
+/**
+ * Process intermediate data into race statistics in the worker (see processIntermediateData)
+ * @param {Array} intermediateDataSets - Extracted data sets
+ * @param {Object} classMapping - Map from raw class name to standard den name
+ * @param {number} year - The year for all data
+ * @param {Object} options - Processing options (see DEFAULT_PROCESSING_OPTIONS)
+ * @returns {Promise<Object>} - Processed race data
+ */
+export function processRaceData(intermediateDataSets, classMapping, year, options) {
+  return sendRequest('process', { intermediateDataSets, classMapping, year, options })
+}
+
+/**
+ * Close databases that are no longer needed
+ * @param {Array<string>} dbIds - Ids returned by loadDatabases
+ */
+export function closeDatabases(dbIds) {
+  if (dbIds.length === 0) return Promise.resolve(null)
+  return sendRequest('close', { dbIds })
+}
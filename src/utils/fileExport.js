@@ -0,0 +1,36 @@
+/**
+ * Helpers shared by the CSV and JSON exports
+ */
+
+/**
+ * Format one CSV cell, quoting values that contain a comma, quote or newline
+ * @param {*} val - Cell value (null and undefined become empty cells)
+ * @returns {string}
+ */
+export function csvValue(val) {
+  if (val === null || val === undefined) return ''
+  const strVal = String(val)
+  if (strVal.includes(',') || strVal.includes('"') || strVal.includes('\n')) {
+    return `"${strVal.replace(/"/g, '""')}"`
+  }
+  return strVal
+}
+
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} content - File contents
+ * @param {string} filename - Full filename, extension included
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,53 @@
+import { validateDatabases } from './databaseWorkerClient'
+import { isTabularFile, readTabularFile } from './tabularParser'
+import { isMergedDataTable } from './dataProcessor'
+
+/**
+ * Stable key for an uploaded file (File objects have no id of their own)
+ */
+export function getFileKey(file) {
+  return `${file.name}|${file.size}|${file.lastModified}`
+}
+
+/**
+ * Summarize a spreadsheet upload (row count, whether it is a merged export)
+ */
+async function validateSpreadsheet(file) {
+  try {
+    const table = await readTabularFile(file)
+    const isMerged = isMergedDataTable(table)
+    return {
+      fileName: file.name,
+      source: isMerged ? 'Merged data export' : 'Spreadsheet',
+      rowCount: table.rows.length,
+      errors: table.rows.length === 0 ? ['The spreadsheet has a header row but no data'] : [],
+      warnings: []
+    }
+  } catch (err) {
+    return {
+      fileName: file.name,
+      source: 'Spreadsheet',
+      errors: [err.message],
+      warnings: []
+    }
+  }
+}
+
+/**
+ * Pre-flight validation of uploaded files, before any of them are used
+ * SQLite files are checked in the database worker; spreadsheets are read here.
+ * @param {Array<File>} files - Files selected on the upload screen
+ * @returns {Promise<Array>} - Summaries ({ fileName, source, errors, warnings, ...counts }) in file order
+ */
+export async function validateUploadFiles(files) {
+  const databaseFiles = files.filter(f => !isTabularFile(f.name))
+  const databaseSummaries = databaseFiles.length > 0
+    ? await validateDatabases(databaseFiles)
+    : []
+
+  return Promise.all(files.map(file =>
+    isTabularFile(file.name)
+      ? validateSpreadsheet(file)
+      : databaseSummaries[databaseFiles.indexOf(file)]
+  ))
+}
@@ -0,0 +1,72 @@
+/**
+ * Head-to-head records between racers who shared heats
+ *
+ * Racers in the same class, round and heat raced each other directly; whoever
+ * posted the lower time in that heat takes the win.
+ */
+
+/**
+ * Count wins and losses between every pair of racers who shared a heat
+ * @param {Array} raceResults - Race results ({ racerKey, className, heatKey, finishTime })
+ * @returns {Map} - `${racerKey}|${className}` -> { [opponentRacerKey]: { wins, losses, heats } }
+ */
+export function computeHeadToHead(raceResults) {
+  const heats = new Map()
+  raceResults.forEach(r => {
+    if (!(r.finishTime > 0)) return
+    const key = r.heatKey
+    if (!heats.has(key)) heats.set(key, [])
+    heats.get(key).push(r)
+  })
+
+  const records = new Map()
+  const recordFor = (racer, opponentKey) => {
+    const key = `${racer.racerKey}|${racer.className}`
+    if (!records.has(key)) records.set(key, {})
+    const opponents = records.get(key)
+    if (!opponents[opponentKey]) opponents[opponentKey] = { wins: 0, losses: 0, heats: 0 }
+    return opponents[opponentKey]
+  }
+
+  heats.forEach(heat => {
+    for (let i = 0; i < heat.length; i++) {
+      for (let j = i + 1; j < heat.length; j++) {
+        const a = heat[i]
+        const b = heat[j]
+        if (a.racerKey === b.racerKey) continue
+        const aRecord = recordFor(a, b.racerKey)
+        const bRecord = recordFor(b, a.racerKey)
+        aRecord.heats++
+        bRecord.heats++
+        if (a.finishTime < b.finishTime) {
+          aRecord.wins++
+          bRecord.losses++
+        } else if (b.finishTime < a.finishTime) {
+          bRecord.wins++
+          aRecord.losses++
+        }
+      }
+    }
+  })
+
+  return records
+}
+
+/**
+ * Lay out a class's head-to-head records as a matrix, rows and columns in finishing order
+ * @param {Array} results - Sorted racer statistics for one class (with headToHead records)
+ * @returns {Array} - [{ racer, cells: [{ wins, losses, heats } | null (self)], totals: { wins, losses } }]
+ */
+export function buildHeadToHeadMatrix(results) {
+  return results.map(racer => {
+    const cells = results.map(opponent => {
+      if (opponent.racerKey === racer.racerKey) return null
+      return racer.headToHead?.[opponent.racerKey] || { wins: 0, losses: 0, heats: 0 }
+    })
+    const totals = cells.reduce((sum, cell) => ({
+      wins: sum.wins + (cell?.wins || 0),
+      losses: sum.losses + (cell?.losses || 0)
+    }), { wins: 0, losses: 0 })
+    return { racer, cells, totals }
+  })
+}
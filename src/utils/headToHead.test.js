@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest'
+import { computeHeadToHead, buildHeadToHeadMatrix } from './headToHead'
+
+const run = (racerKey, heatKey, finishTime) => ({ racerKey, className: 'Wolf Den', heatKey, finishTime })
+
+describe('computeHeadToHead', () => {
+  it('counts wins and losses between racers who shared a heat', () => {
+    const records = computeHeadToHead([
+      run('A', 'h1', 3.0), run('B', 'h1', 3.1),
+      run('A', 'h2', 3.3), run('B', 'h2', 3.2),
+      run('A', 'h3', 3.0), run('B', 'h3', 3.0)
+    ])
+    expect(records.get('A|Wolf Den').B).toEqual({ wins: 1, losses: 1, heats: 3 })
+    expect(records.get('B|Wolf Den').A).toEqual({ wins: 1, losses: 1, heats: 3 })
+  })
+
+  it('keeps heats with the same number in different raw classes apart', () => {
+    const records = computeHeadToHead([
+      run('A', 'race.sqlite|Wolves A|1|1', 3.0),
+      run('B', 'race.sqlite|Wolves B|1|1', 3.1)
+    ])
+    expect(records.size).toBe(0)
+  })
+})
+
+describe('buildHeadToHeadMatrix', () => {
+  it('lays out each racer against every other with totals', () => {
+    const results = [
+      { racerKey: 'A', headToHead: { B: { wins: 2, losses: 1, heats: 3 } } },
+      { racerKey: 'B', headToHead: { A: { wins: 1, losses: 2, heats: 3 } } }
+    ]
+    const [rowA] = buildHeadToHeadMatrix(results)
+    expect(rowA.cells).toEqual([null, { wins: 2, losses: 1, heats: 3 }])
+    expect(rowA.totals).toEqual({ wins: 2, losses: 1 })
+  })
+})
@@ -0,0 +1,125 @@
+/**
+ * Keys for heats as they were raced in their source file
+ *
+ * Several raw classes (or files) can map to the same den, and round ids are only
+ * meaningful within the raw class and file they came from. Heats are therefore
+ * keyed on the source file and original class plus the raw round, heat and lane,
+ * never on the mapped class.
+ */
+
+/**
+ * Key of the raw class a record was raced in
+ * @param {Object} record - Merged record (SourceFile, OriginalClass)
+ * @returns {string}
+ */
+export function sourceClassKey(record) {
+  return `${record.SourceFile}|${record.OriginalClass}`
+}
+
+/**
+ * Key of the heat a record was raced in
+ * @param {Object} record - Merged record
+ * @returns {string}
+ */
+export function sourceHeatKey(record) {
+  return `${sourceClassKey(record)}|${record.RoundID}|${record.Heat}`
+}
+
+/**
+ * Key of one lane of a heat (shared by re-runs of that lane)
+ * @param {Object} record - Merged record
+ * @returns {string}
+ */
+export function sourceLaneKey(record) {
+  return `${sourceHeatKey(record)}|${record.Lane}`
+}
+
+/**
+ * Number each record's round by its position within its raw class (1 = first round raced)
+ * Round ids are only ordered within a raw class: GrandPrix numbers rounds across
+ * all classes, so a merged den can hold round 3 of one raw class and round 4 of another.
+ * @param {Array} records - Merged records
+ * @returns {Function} - record => round number
+ */
+export function getRoundNumbering(records) {
+  const roundIds = new Map()
+  records.forEach(r => {
+    const key = sourceClassKey(r)
+    if (!roundIds.has(key)) roundIds.set(key, new Set())
+    roundIds.get(key).add(Number(r.RoundID) || 0)
+  })
+  const sortedIds = new Map()
+  roundIds.forEach((ids, key) => sortedIds.set(key, Array.from(ids).sort((a, b) => a - b)))
+  return (r) => (sortedIds.get(sourceClassKey(r))?.indexOf(Number(r.RoundID) || 0) ?? -1) + 1
+}
+
+/**
+ * Number the runs of each lane in the order they were raced (RunIndex, 0 = first run)
+ * RunOrder comes from the source (the database row id); records without one, such
+ * as spreadsheet rows, are taken in file order.
+ * @param {Array} records - Merged records
+ * @returns {Array} - New records with RunIndex set
+ */
+export function assignRunIndexes(records) {
+  const runsByLane = new Map()
+  records.forEach((r, position) => {
+    const key = sourceLaneKey(r)
+    if (!runsByLane.has(key)) runsByLane.set(key, [])
+    runsByLane.get(key).push({ position, order: r.RunOrder ?? position })
+  })
+
+  const runIndexes = []
+  runsByLane.forEach(runs => {
+    runs
+      .sort((a, b) => (a.order - b.order) || (a.position - b.position))
+      .forEach((run, i) => { runIndexes[run.position] = i })
+  })
+  return records.map((r, i) => ({ ...r, RunIndex: runIndexes[i] }))
+}
+
+/**
+ * Lanes recorded more than once (re-runs), each as its timed runs in the order raced
+ * @param {Array} records - Merged records with RunIndex set
+ * @returns {Array<Array<number>>} - Record indexes per re-run lane, latest run last
+ */
+export function getRerunLanes(records) {
+  const laneRuns = new Map()
+  records.forEach((r, index) => {
+    if (!(r.FinishTime > 0)) return
+    const key = sourceLaneKey(r)
+    if (!laneRuns.has(key)) laneRuns.set(key, [])
+    laneRuns.get(key).push(index)
+  })
+  return Array.from(laneRuns.values())
+    .filter(indexes => indexes.length > 1)
+    .map(indexes => indexes.sort((a, b) => (records[a].RunIndex ?? a) - (records[b].RunIndex ?? b)))
+}
+
+/**
+ * Runs of a re-run lane that a heat policy leaves out of the results
+ * @param {Array<number>} runs - Record indexes of one re-run lane, latest run last
+ * @param {string} heatPolicy - 'latest' keeps the last run, 'discard' drops them all, 'flag' keeps them all
+ * @returns {Array<number>} - Record indexes to drop
+ */
+export function getDroppedRuns(runs, heatPolicy) {
+  if (heatPolicy === 'latest') return runs.slice(0, -1)
+  if (heatPolicy === 'discard') return runs
+  return []
+}
+
+/**
+ * Name each data set's records with the file they came from
+ * Records re-imported from a merged export keep the file recorded in the export;
+ * two uploads with the same file name are told apart by a number.
+ * @param {Array} intermediateDataSets - [{ rawRecords, fileName }]
+ * @returns {Array<string>} - Source name per data set
+ */
+export function getSourceNames(intermediateDataSets) {
+  const seen = new Map()
+  return intermediateDataSets.map(({ fileName }, i) => {
+    const name = fileName || `File ${i + 1}`
+    const count = (seen.get(name) || 0) + 1
+    seen.set(name, count)
+    return count > 1 ? `${name} (${count})` : name
+  })
+}
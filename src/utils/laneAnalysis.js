@@ -0,0 +1,92 @@
+/**
+ * Lane bias analysis
+ *
+ * Each time is compared with the mean of the heat it was run in, so slow and
+ * fast cars cancel out and what remains is how much faster or slower each lane
+ * runs. This assumes the race chart rotates cars through the lanes, which every
+ * standard (perfect-N / rotation) chart does.
+ */
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid]
+}
+
+/**
+ * Compute per-lane offsets from the heat mean across all heats
+ * @param {Array} raceResults - Race results ({ heatKey, lane, finishTime })
+ * @returns {Object} - { lanes: [{ lane, heatCount, meanTime, meanOffset, medianOffset }],
+ *                       fastestLane, slowestLane, spread, heatCount }
+ */
+export function analyzeLaneBias(raceResults) {
+  // Group times into heats
+  const heats = new Map()
+  raceResults.forEach(r => {
+    if (!(r.finishTime > 0)) return
+    const key = r.heatKey
+    if (!heats.has(key)) heats.set(key, [])
+    heats.get(key).push(r)
+  })
+
+  // Offset of each time from its heat's mean (single-car heats say nothing about lanes)
+  const offsetsByLane = new Map()
+  const timesByLane = new Map()
+  let heatCount = 0
+  heats.forEach(heat => {
+    if (heat.length < 2) return
+    heatCount++
+    const heatMean = mean(heat.map(r => r.finishTime))
+    heat.forEach(r => {
+      if (!offsetsByLane.has(r.lane)) {
+        offsetsByLane.set(r.lane, [])
+        timesByLane.set(r.lane, [])
+      }
+      offsetsByLane.get(r.lane).push(r.finishTime - heatMean)
+      timesByLane.get(r.lane).push(r.finishTime)
+    })
+  })
+
+  const lanes = Array.from(offsetsByLane.keys())
+    .sort((a, b) => a - b)
+    .map(lane => ({
+      lane,
+      heatCount: offsetsByLane.get(lane).length,
+      meanTime: mean(timesByLane.get(lane)),
+      meanOffset: mean(offsetsByLane.get(lane)),
+      medianOffset: median(offsetsByLane.get(lane))
+    }))
+
+  if (lanes.length === 0) {
+    return { lanes, fastestLane: null, slowestLane: null, spread: 0, heatCount }
+  }
+
+  const byOffset = [...lanes].sort((a, b) => a.meanOffset - b.meanOffset)
+  const fastest = byOffset[0]
+  const slowest = byOffset[byOffset.length - 1]
+  return {
+    lanes,
+    fastestLane: fastest.lane,
+    slowestLane: slowest.lane,
+    spread: slowest.meanOffset - fastest.meanOffset,
+    heatCount
+  }
+}
+
+/**
+ * Remove a lane's bias from a finish time
+ * @param {number} finishTime - Recorded time
+ * @param {number} lane - Lane the time was run in
+ * @param {Object} laneBias - Result of analyzeLaneBias
+ * @returns {number} - Lane-corrected time (unchanged if the lane has no data)
+ */
+export function correctForLane(finishTime, lane, laneBias) {
+  const laneStats = laneBias.lanes.find(l => l.lane === lane)
+  return laneStats ? finishTime - laneStats.meanOffset : finishTime
+}
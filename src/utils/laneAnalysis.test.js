@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest'
+import { analyzeLaneBias, correctForLane } from './laneAnalysis'
+
+const run = (heatKey, lane, finishTime) => ({ heatKey, lane, finishTime })
+
+describe('analyzeLaneBias', () => {
+  // Lane 1 runs 0.1s faster than lane 2 in every heat
+  const raceResults = [
+    run('race.sqlite|Wolves|1|1', 1, 3.0),
+    run('race.sqlite|Wolves|1|1', 2, 3.2),
+    run('race.sqlite|Wolves|1|2', 1, 3.4),
+    run('race.sqlite|Wolves|1|2', 2, 3.6)
+  ]
+
+  it('measures each lane against its heat mean', () => {
+    const bias = analyzeLaneBias(raceResults)
+    expect(bias.heatCount).toBe(2)
+    expect(bias.fastestLane).toBe(1)
+    expect(bias.slowestLane).toBe(2)
+    expect(bias.lanes[0].meanOffset).toBeCloseTo(-0.1)
+    expect(bias.spread).toBeCloseTo(0.2)
+  })
+
+  it('keeps heats with the same number in different raw classes apart', () => {
+    const bias = analyzeLaneBias([
+      run('race.sqlite|Wolves A|1|1', 1, 3.0),
+      run('race.sqlite|Wolves A|1|1', 2, 3.2),
+      run('race.sqlite|Wolves B|1|1', 1, 3.4)
+    ])
+    // The single-car heat says nothing about lanes
+    expect(bias.heatCount).toBe(1)
+    expect(bias.lanes.find(l => l.lane === 1).heatCount).toBe(1)
+  })
+
+  it('ignores runs without a time', () => {
+    expect(analyzeLaneBias([run('h', 1, 0), run('h', 2, 3.1)]).lanes).toEqual([])
+  })
+})
+
+describe('correctForLane', () => {
+  it('removes the lane offset from a time', () => {
+    const bias = { lanes: [{ lane: 1, meanOffset: -0.1 }, { lane: 2, meanOffset: 0.1 }] }
+    expect(correctForLane(3.0, 1, bias)).toBeCloseTo(3.1)
+    expect(correctForLane(3.0, 3, bias)).toBe(3.0)
+  })
+})
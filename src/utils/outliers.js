@@ -0,0 +1,130 @@
+import { sourceLaneKey } from './heatKeys'
+
+/**
+ * Suspicious finish time detection
+ *
+ * Timers occasionally record glitches (a lane that tripped early, or a 99.999s
+ * "no finish" placeholder). Times outside the plausible range are always flagged;
+ * the statistical test then flags times far from the rest of their class.
+ * Flagged times still count until they are excluded (the excludedResults setting).
+ */
+
+/**
+ * Statistical tests for times within a class
+ */
+export const OUTLIER_METHODS = {
+  iqr: 'Interquartile range (IQR)',
+  zScore: 'Z-score',
+  none: 'Plausibility bounds only'
+}
+
+/**
+ * Outlier rules (outlierRules setting)
+ * minTime / maxTime are the physically plausible bounds in seconds.
+ */
+export const DEFAULT_OUTLIER_RULES = {
+  minTime: 1.5,
+  maxTime: 10,
+  method: 'iqr',
+  iqrMultiplier: 1.5,
+  zThreshold: 3
+}
+
+/**
+ * Key identifying one run of a heat result (used in excludedResults and heatCorrections)
+ * Built from where the result was raced (source file, original class, raw round, heat
+ * and lane) and its run index, so remapping classes doesn't move the key and re-runs
+ * kept under the 'flag' policy each have their own.
+ * @param {Object} record - Merged heat record
+ * @returns {string}
+ */
+export function heatResultKey(record) {
+  return `${sourceLaneKey(record)}|${record.RunIndex ?? 0}`
+}
+
+/**
+ * Readable description of a heat result key, for results no longer in the data
+ * @param {string} key - Heat result key
+ * @returns {string} - "file, class round 1, heat 2, lane 3"
+ */
+export function describeHeatResultKey(key) {
+  const parts = key.split('|')
+  if (parts.length < 6) return key
+  const [roundId, heat, lane, runIndex] = parts.slice(-4)
+  const [sourceFile, ...className] = parts.slice(0, -4)
+  const run = Number(runIndex) > 0 ? ` (re-run ${runIndex})` : ''
+  return `${sourceFile}, ${className.join('|')} round ${roundId}, heat ${heat}, lane ${lane}${run}`
+}
+
+// Linear-interpolated quantile of sorted values
+function quantile(sorted, p) {
+  const pos = (sorted.length - 1) * p
+  const lower = Math.floor(pos)
+  const upper = Math.ceil(pos)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower)
+}
+
+// Returns a function giving the reason a plausible time is unusual for its class, or null
+function statisticalTest(times, rules) {
+  if (rules.method === 'iqr' && times.length >= 4) {
+    const sorted = [...times].sort((a, b) => a - b)
+    const q1 = quantile(sorted, 0.25)
+    const q3 = quantile(sorted, 0.75)
+    const spread = (q3 - q1) * rules.iqrMultiplier
+    const low = q1 - spread
+    const high = q3 + spread
+    return (t) => {
+      if (t < low) return `below the class range (${low.toFixed(3)}s–${high.toFixed(3)}s)`
+      if (t > high) return `above the class range (${low.toFixed(3)}s–${high.toFixed(3)}s)`
+      return null
+    }
+  }
+  if (rules.method === 'zScore' && times.length >= 3) {
+    const mean = times.reduce((a, b) => a + b, 0) / times.length
+    const stdDev = Math.sqrt(times.reduce((sum, t) => sum + (t - mean) ** 2, 0) / times.length)
+    if (stdDev === 0) return () => null
+    return (t) => {
+      const z = (t - mean) / stdDev
+      return Math.abs(z) > rules.zThreshold ? `z-score ${z.toFixed(1)} within the class` : null
+    }
+  }
+  return () => null
+}
+
+/**
+ * Flag suspicious finish times
+ * Class statistics are computed from the plausible times only, so a 99.999s
+ * placeholder doesn't stretch the range for the rest of the class.
+ * @param {Array} records - Merged heat records with finish times
+ * @param {Object} rules - Outlier rules (see DEFAULT_OUTLIER_RULES)
+ * @returns {Array} - [{ key, record, kind: 'implausible'|'statistical', reason }]
+ */
+export function detectOutliers(records, rules = DEFAULT_OUTLIER_RULES) {
+  const allRules = { ...DEFAULT_OUTLIER_RULES, ...rules }
+  const { minTime, maxTime } = allRules
+  const isPlausible = (t) => t >= minTime && t <= maxTime
+
+  const timesByClass = new Map()
+  records.forEach(r => {
+    if (!isPlausible(r.FinishTime)) return
+    if (!timesByClass.has(r.Class)) timesByClass.set(r.Class, [])
+    timesByClass.get(r.Class).push(r.FinishTime)
+  })
+  const tests = new Map()
+  timesByClass.forEach((times, className) => {
+    tests.set(className, statisticalTest(times, allRules))
+  })
+
+  const outliers = []
+  records.forEach(r => {
+    if (r.FinishTime < minTime) {
+      outliers.push({ key: heatResultKey(r), record: r, kind: 'implausible', reason: `faster than the ${minTime}s minimum` })
+    } else if (r.FinishTime > maxTime) {
+      outliers.push({ key: heatResultKey(r), record: r, kind: 'implausible', reason: `slower than the ${maxTime}s maximum` })
+    } else {
+      const reason = tests.get(r.Class)(r.FinishTime)
+      if (reason) outliers.push({ key: heatResultKey(r), record: r, kind: 'statistical', reason })
+    }
+  })
+  return outliers
+}
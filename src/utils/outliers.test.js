@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+import { heatResultKey, describeHeatResultKey, detectOutliers } from './outliers'
+import { processIntermediateData } from './dataProcessor'
+import { heatResult } from '../test/records'
+
+describe('heatResultKey', () => {
+  it('keys a result on where it was raced, not the class it is mapped to', () => {
+    expect(heatResultKey(heatResult({ Class: 'Wolf Den' }))).toBe(heatResultKey(heatResult({ Class: 'Bear Den' })))
+    expect(heatResultKey(heatResult({}))).not.toBe(heatResultKey(heatResult({ SourceFile: 'finals.sqlite' })))
+    expect(heatResultKey(heatResult({}))).not.toBe(heatResultKey(heatResult({ OriginalClass: 'Wolves B' })))
+  })
+
+  it('gives each run of a re-run lane its own key', () => {
+    expect(heatResultKey(heatResult({ RunIndex: 0 }))).not.toBe(heatResultKey(heatResult({ RunIndex: 1 })))
+  })
+
+  it('describes a key for results no longer in the data', () => {
+    expect(describeHeatResultKey(heatResultKey(heatResult({ Heat: 2, Lane: 3, RunIndex: 1 }))))
+      .toBe('race.sqlite, Wolves round 1, heat 2, lane 3 (re-run 1)')
+  })
+})
+
+describe('detectOutliers', () => {
+  it('flags times outside the plausible range', () => {
+    const outliers = detectOutliers([heatResult({ FinishTime: 0.5 }), heatResult({ Lane: 2, FinishTime: 99.999 })])
+    expect(outliers.map(o => o.kind)).toEqual(['implausible', 'implausible'])
+  })
+
+  it('flags times far from the rest of their class', () => {
+    const times = [3.0, 3.05, 3.1, 3.02, 3.08, 4.5]
+    const outliers = detectOutliers(times.map((FinishTime, i) => heatResult({ Heat: i + 1, FinishTime })))
+    expect(outliers.map(o => o.record.FinishTime)).toEqual([4.5])
+    expect(outliers[0].kind).toBe('statistical')
+  })
+})
+
+describe('excluded results', () => {
+  // Sam's lane was re-run; the flag policy keeps both runs
+  const rawRecords = [
+    { FirstName: 'Sam', CarNumber: '1', Lane: 1, FinishTime: 3.5, RunOrder: 1 },
+    { FirstName: 'Max', CarNumber: '2', Lane: 2, FinishTime: 3.1, RunOrder: 2 },
+    { FirstName: 'Sam', CarNumber: '1', Lane: 1, FinishTime: 3.0, RunOrder: 3 }
+  ].map(r => ({ LastName: 'Lee', Class: 'Wolves', RoundID: 1, Heat: 1, Completed: 1, ...r }))
+  const process = (options) => processIntermediateData(
+    [{ rawRecords, fileName: 'race.sqlite' }], { Wolves: 'Wolf Den' }, 2025, { heatPolicy: 'flag', ...options }
+  )
+  const sam = (processed) => processed.resultsByClass['wolf den'].find(r => r.firstName === 'Sam')
+
+  it('excludes one run of a re-run lane without the other', () => {
+    const firstRun = process({}).mergedData.find(r => r.FinishTime === 3.5)
+    const processed = process({ excludedResults: [heatResultKey(firstRun)] })
+    expect(sam(processed).avgTime).toBe(3.0)
+    expect(processed.unmatchedExclusions).toEqual([])
+  })
+
+  it('warns about exclusions that no longer match a heat result', () => {
+    const processed = process({ excludedResults: ['old.sqlite|Wolves|1|1|1|0'] })
+    expect(processed.unmatchedExclusions).toEqual(['old.sqlite|Wolves|1|1|1|0'])
+    expect(processed.sanityCheck.warnings.some(w => w.type === 'unmatched-exclusions')).toBe(true)
+  })
+})
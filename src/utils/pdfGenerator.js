@@ -2,24 +2,16 @@ import html2canvas from 'html2canvas'
 import jsPDF from 'jspdf'
 
 /**
- * Generate a PDF from an HTML element
- * @param {HTMLElement} element - The element to convert to PDF
+ * Generate a PDF from one or more HTML elements, one letter-size page per element
+ * @param {HTMLElement|Array<HTMLElement>} elements - The element(s) to convert to PDF
  * @param {string} filename - The output filename
  */
-export async function generatePDF(element, filename = 'pinewood-derby-report.pdf') {
+export async function generatePDF(elements, filename = 'pinewood-derby-report.pdf') {
+  const pages = Array.isArray(elements) ? elements : [elements]
+  
   // Wait for charts to render
   await new Promise(resolve => setTimeout(resolve, 500))
   
-  // Capture element as canvas
-  const canvas = await html2canvas(element, {
-    scale: 2,  // Higher resolution
-    useCORS: true,
-    logging: false,
-    backgroundColor: '#ffffff',
-    windowWidth: element.scrollWidth,
-    windowHeight: element.scrollHeight
-  })
-  
   // Calculate dimensions for portrait letter size
   const imgWidth = 8.5  // inches
   const imgHeight = 11  // inches
@@ -31,27 +23,43 @@ export async function generatePDF(element, filename = 'pinewood-derby-report.pdf
     format: 'letter'
   })
   
-  // Calculate scaling to fit content
-  const canvasAspect = canvas.width / canvas.height
-  const pageAspect = imgWidth / imgHeight
-  const margin = 0.2  // 0.2" margins
-  
-  let finalWidth = imgWidth - (margin * 2)
-  let finalHeight = finalWidth / canvasAspect
-  
-  if (finalHeight > imgHeight - (margin * 2)) {
-    finalHeight = imgHeight - (margin * 2)
-    finalWidth = finalHeight * canvasAspect
+  for (let i = 0; i < pages.length; i++) {
+    const element = pages[i]
+    if (i > 0) {
+      pdf.addPage()
+    }
+    
+    // Capture element as canvas
+    const canvas = await html2canvas(element, {
+      scale: 2,  // Higher resolution
+      useCORS: true,
+      logging: false,
+      backgroundColor: '#ffffff',
+      windowWidth: element.scrollWidth,
+      windowHeight: element.scrollHeight
+    })
+    
+    // Calculate scaling to fit content
+    const canvasAspect = canvas.width / canvas.height
+    const margin = 0.2  // 0.2" margins
+    
+    let finalWidth = imgWidth - (margin * 2)
+    let finalHeight = finalWidth / canvasAspect
+    
+    if (finalHeight > imgHeight - (margin * 2)) {
+      finalHeight = imgHeight - (margin * 2)
+      finalWidth = finalHeight * canvasAspect
+    }
+    
+    // Center on page
+    const xOffset = (imgWidth - finalWidth) / 2
+    const yOffset = (imgHeight - finalHeight) / 2
+    
+    // Add image to PDF
+    const imgData = canvas.toDataURL('image/png')
+    pdf.addImage(imgData, 'PNG', xOffset, yOffset, finalWidth, finalHeight)
   }
   
-  // Center on page
-  const xOffset = (imgWidth - finalWidth) / 2
-  const yOffset = (imgHeight - finalHeight) / 2
-  
-  // Add image to PDF
-  const imgData = canvas.toDataURL('image/png')
-  pdf.addImage(imgData, 'PNG', xOffset, yOffset, finalWidth, finalHeight)
-  
   // Save the PDF
   pdf.save(filename)
 }
@@ -0,0 +1,97 @@
+import { SESSION_VERSION } from './sessionStore'
+import { downloadFile } from './fileExport'
+
+/**
+ * Portable project files
+ *
+ * A project file is the saved session (see sessionStore.js) in a single JSON
+ * file: the uploaded files base64-encoded, plus the class mapping, column
+ * mappings and every report setting. Opening one restores the report on
+ * another computer.
+ */
+
+const PROJECT_FORMAT = 'pinewood-derby-report-project'
+
+export const PROJECT_EXTENSION = '.derbyproject.json'
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  // Chunked so large databases don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+function fromBase64(text) {
+  const binary = atob(text)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes.buffer
+}
+
+// Every saved file needs a name and its base64 contents before anything is decoded
+function isValidFileList(files) {
+  return Array.isArray(files) && files.length > 0 &&
+    files.every(f => typeof f?.name === 'string' && typeof f.data === 'string')
+}
+
+/**
+ * Build the project file contents
+ * @param {Array} storedFiles - Files as stored for the session ({ name, type, lastModified, bytes })
+ * @param {Object} state - Session state ({ step, classMapping, columnMappings, settings })
+ * @returns {string} - JSON text
+ */
+export function buildProjectFile(storedFiles, state) {
+  return JSON.stringify({
+    format: PROJECT_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    files: storedFiles.map(({ bytes, ...file }) => ({ ...file, data: toBase64(bytes) })),
+    state
+  })
+}
+
+/**
+ * Download the project as a file
+ * @param {Array} storedFiles - Files as stored for the session
+ * @param {Object} state - Session state
+ * @param {string} filename - The filename to use (without extension)
+ */
+export function downloadProjectFile(storedFiles, state, filename = 'pinewood_derby_project') {
+  downloadFile(buildProjectFile(storedFiles, state), `${filename}${PROJECT_EXTENSION}`, 'application/json')
+}
+
+/**
+ * Read a project file back into a session
+ * @param {File} file - The selected project file
+ * @returns {Promise<Object>} - { files, state } in the same shape as loadSession()
+ */
+export async function readProjectFile(file) {
+  let project
+  try {
+    project = JSON.parse(await file.text())
+  } catch {
+    throw new Error(`${file.name} is not a project file`)
+  }
+  if (project?.format !== PROJECT_FORMAT || !isValidFileList(project.files)) {
+    throw new Error(`${file.name} is not a project file`)
+  }
+  if (project.version > SESSION_VERSION) {
+    throw new Error(`${file.name} was saved by a newer version of this app`)
+  }
+
+  let files
+  try {
+    files = project.files.map(({ data, ...f }) => ({ ...f, bytes: fromBase64(data) }))
+  } catch {
+    throw new Error(`${file.name} is not a project file (a saved file could not be decoded)`)
+  }
+  return {
+    files,
+    state: { ...project.state, savedAt: project.savedAt }
+  }
+}
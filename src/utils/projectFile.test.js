@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest'
+import { buildProjectFile, readProjectFile, PROJECT_EXTENSION } from './projectFile'
+import { SESSION_VERSION } from './sessionStore'
+
+const projectFile = (text) => new File([text], `derby${PROJECT_EXTENSION}`)
+
+const storedFiles = [
+  { name: 'race.sqlite', type: '', lastModified: 1700000000000, bytes: new Uint8Array([0, 1, 2, 254, 255]).buffer },
+  { name: 'siblings.csv', type: 'text/csv', lastModified: 1700000001000, bytes: new TextEncoder().encode('Name,Time\nSam,3.1').buffer }
+]
+const state = { step: 4, classMapping: { Wolves: 'Wolf Den' }, columnMappings: {}, settings: { title: 'Pack 128' } }
+
+describe('readProjectFile', () => {
+  it('reads back the files and state a project was built from', async () => {
+    const { files, state: restored } = await readProjectFile(projectFile(buildProjectFile(storedFiles, state)))
+    expect(files.map(({ bytes, ...f }) => f)).toEqual(storedFiles.map(({ bytes, ...f }) => f))
+    files.forEach((f, i) => expect(new Uint8Array(f.bytes)).toEqual(new Uint8Array(storedFiles[i].bytes)))
+    expect(restored).toMatchObject(state)
+    expect(typeof restored.savedAt).toBe('string')
+  })
+
+  it('rejects files that are not project files', async () => {
+    await expect(readProjectFile(projectFile('not json'))).rejects.toThrow('is not a project file')
+    await expect(readProjectFile(projectFile('{"format":"something-else"}'))).rejects.toThrow('is not a project file')
+    const noFiles = JSON.stringify({ format: 'pinewood-derby-report-project', version: SESSION_VERSION, files: {} })
+    await expect(readProjectFile(projectFile(noFiles))).rejects.toThrow('is not a project file')
+  })
+
+  it('rejects saved files that cannot be decoded', async () => {
+    const project = JSON.parse(buildProjectFile(storedFiles, state))
+    project.files[0].data = '%%%'
+    await expect(readProjectFile(projectFile(JSON.stringify(project)))).rejects.toThrow('could not be decoded')
+  })
+
+  it('rejects projects saved by a newer version', async () => {
+    const project = JSON.parse(buildProjectFile(storedFiles, state))
+    project.version = SESSION_VERSION + 1
+    await expect(readProjectFile(projectFile(JSON.stringify(project)))).rejects.toThrow('newer version')
+  })
+})
@@ -0,0 +1,192 @@
+import { sourceHeatKey } from './heatKeys'
+
+/**
+ * Racer identity resolution across files and classes
+ *
+ * Records are matched to a racer by first name, last name and car number. When
+ * files disagree ("Jon Smith #12" in the den file, "Jonathan Smith #12" in the
+ * finals file) the two identities are proposed as a likely match. Confirmed
+ * matches are merged under one stable racer key; rejected ones aren't proposed
+ * again. Decisions are kept in the racerMatches setting:
+ * [{ keys: [keyA, keyB], merged: boolean, decidedAt }]
+ */
+
+// Minimum name similarity and overall score for a proposed match
+const MIN_NAME_SIMILARITY = 0.75
+const MIN_MATCH_SCORE = 0.6
+
+/**
+ * Identity key of a merged record, before any confirmed matches are applied
+ * @param {Object} record - Merged record (FirstName, LastName, CarNumber)
+ * @returns {string}
+ */
+export function identityKey(record) {
+  return `${record.FirstName}|${record.LastName}|${record.CarNumber}`
+}
+
+/**
+ * Readable name for an identity key
+ * @param {string} key - Identity key
+ * @returns {string} - "First Last (#12)"
+ */
+export function describeIdentity(key) {
+  const [firstName, lastName, carNumber] = key.split('|')
+  return `${firstName} ${lastName} (#${carNumber})`
+}
+
+/**
+ * Stable id of a pair of identities, whichever order they are given in
+ * @param {Array<string>} keys - Two identity keys
+ * @returns {string}
+ */
+export function matchId(keys) {
+  return [...keys].sort().join('||')
+}
+
+/**
+ * Racer key for every identity, with confirmed matches merged
+ * Merged identities share the alphabetically first key, so the result doesn't
+ * depend on the order matches were confirmed in.
+ * @param {Array} records - Merged records
+ * @param {Array} racerMatches - Match decisions
+ * @returns {Map} - Identity key -> racer key
+ */
+export function resolveRacerKeys(records, racerMatches = []) {
+  const parent = new Map()
+  const find = (key) => {
+    if (!parent.has(key)) parent.set(key, key)
+    const root = parent.get(key)
+    if (root === key) return key
+    const top = find(root)
+    parent.set(key, top)
+    return top
+  }
+
+  records.forEach(r => find(identityKey(r)))
+  racerMatches.filter(m => m.merged).forEach(({ keys: [a, b] }) => {
+    const rootA = find(a)
+    const rootB = find(b)
+    if (rootA === rootB) return
+    if (rootA < rootB) parent.set(rootB, rootA)
+    else parent.set(rootA, rootB)
+  })
+
+  const racerKeys = new Map()
+  parent.forEach((_, key) => racerKeys.set(key, find(key)))
+  return racerKeys
+}
+
+// Lowercase letters only, so "O'Neil" and "ONeil" compare equal
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z]/g, '')
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+// 1 for equal names, 0.9 when one is a short form of the other (Jon/Jonathan), else edit-distance based
+function nameSimilarity(a, b) {
+  const x = normalizeName(a)
+  const y = normalizeName(b)
+  if (!x || !y) return 0
+  if (x === y) return 1
+  if (x.length >= 3 && y.length >= 3 && (x.startsWith(y) || y.startsWith(x))) return 0.9
+  return 1 - editDistance(x, y) / Math.max(x.length, y.length)
+}
+
+/**
+ * Likely matches between identities that haven't been decided yet
+ * Scored on name similarity, the same car number and a shared class. Identities
+ * that ran in the same heat are never proposed: they are different cars.
+ * @param {Array} records - Merged records
+ * @param {Array} racerMatches - Match decisions
+ * @returns {Array} - [{ id, keys, score, reasons, identities: [{ key, name, classes, heatCount }] }], best first
+ */
+export function findRacerMatches(records, racerMatches = []) {
+  const racerKeys = resolveRacerKeys(records, racerMatches)
+  const decided = new Set(racerMatches.map(m => matchId(m.keys)))
+
+  const identities = new Map()
+  records.forEach(r => {
+    const key = identityKey(r)
+    if (!identities.has(key)) {
+      identities.set(key, {
+        key,
+        firstName: r.FirstName,
+        lastName: r.LastName,
+        carNumber: String(r.CarNumber ?? '').trim(),
+        classes: new Set(),
+        heats: new Set()
+      })
+    }
+    const identity = identities.get(key)
+    identity.classes.add(r.Class)
+    identity.heats.add(sourceHeatKey(r))
+  })
+
+  const list = [...identities.values()]
+  const matches = []
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const a = list[i]
+      const b = list[j]
+      if (racerKeys.get(a.key) === racerKeys.get(b.key)) continue
+      if (decided.has(matchId([a.key, b.key]))) continue
+      if ([...a.heats].some(heat => b.heats.has(heat))) continue
+
+      const firstSimilarity = nameSimilarity(a.firstName, b.firstName)
+      const lastSimilarity = nameSimilarity(a.lastName, b.lastName)
+      const similarity = (firstSimilarity + lastSimilarity) / 2
+      if (similarity < MIN_NAME_SIMILARITY) continue
+
+      const sameCar = Boolean(a.carNumber) && a.carNumber === b.carNumber
+      const sharedClass = [...a.classes].some(cls => b.classes.has(cls))
+      const score = similarity * 0.6 + (sameCar ? 0.3 : 0) + (sharedClass ? 0.1 : 0)
+      if (score < MIN_MATCH_SCORE) continue
+
+      const reasons = [similarity === 1 ? 'same name' : `similar names (${Math.round(similarity * 100)}%)`]
+      if (sameCar) reasons.push(`same car number #${a.carNumber}`)
+      if (sharedClass) reasons.push('same class')
+
+      matches.push({
+        id: matchId([a.key, b.key]),
+        keys: [a.key, b.key],
+        score,
+        reasons,
+        identities: [a, b].map(identity => ({
+          key: identity.key,
+          name: describeIdentity(identity.key),
+          classes: [...identity.classes],
+          heatCount: identity.heats.size
+        }))
+      })
+    }
+  }
+  return matches.sort((a, b) => b.score - a.score)
+}
+
+/**
+ * Record a decision on a proposed match (replacing any earlier decision on the pair)
+ * @param {Array} racerMatches - Match decisions
+ * @param {Array<string>} keys - The two identity keys
+ * @param {boolean} merged - True to merge the identities, false to keep them apart
+ * @returns {Array} - New decisions
+ */
+export function decideRacerMatch(racerMatches, keys, merged) {
+  const id = matchId(keys)
+  return [
+    ...racerMatches.filter(m => matchId(m.keys) !== id),
+    { keys: [...keys].sort(), merged, decidedAt: new Date().toISOString() }
+  ]
+}
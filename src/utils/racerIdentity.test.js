@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest'
+import { identityKey, resolveRacerKeys, findRacerMatches, decideRacerMatch } from './racerIdentity'
+import { processIntermediateData } from './dataProcessor'
+import { heatResult } from '../test/records'
+
+const result = (FirstName, fields = {}) => heatResult({ FirstName, LastName: 'Smith', CarNumber: '12', ...fields })
+
+const jon = result('Jon')
+const jonathan = result('Jonathan', { SourceFile: 'finals.sqlite', Class: 'Grand Finals' })
+
+describe('resolveRacerKeys', () => {
+  it('gives every identity its own key without confirmed matches', () => {
+    const keys = resolveRacerKeys([jon, jonathan])
+    expect(keys.get(identityKey(jon))).toBe('Jon|Smith|12')
+    expect(keys.get(identityKey(jonathan))).toBe('Jonathan|Smith|12')
+  })
+
+  it('merges confirmed matches under the alphabetically first key', () => {
+    const matches = [{ keys: ['Jonathan|Smith|12', 'Jon|Smith|12'], merged: true }]
+    const keys = resolveRacerKeys([jon, jonathan], matches)
+    expect(keys.get(identityKey(jon))).toBe(keys.get(identityKey(jonathan)))
+  })
+
+  it('gives the same key whichever order matches were confirmed in', () => {
+    const jack = result('Jack')
+    const ab = { keys: ['Jack|Smith|12', 'Jon|Smith|12'], merged: true }
+    const bc = { keys: ['Jon|Smith|12', 'Jonathan|Smith|12'], merged: true }
+    const forward = resolveRacerKeys([jack, jon, jonathan], [ab, bc])
+    const backward = resolveRacerKeys([jack, jon, jonathan], [bc, ab])
+    expect([...forward.entries()]).toEqual([...backward.entries()])
+    expect(new Set(forward.values()).size).toBe(1)
+  })
+
+  it('keeps rejected matches apart', () => {
+    const keys = resolveRacerKeys([jon, jonathan], [{ keys: ['Jon|Smith|12', 'Jonathan|Smith|12'], merged: false }])
+    expect(keys.get(identityKey(jon))).not.toBe(keys.get(identityKey(jonathan)))
+  })
+})
+
+describe('findRacerMatches', () => {
+  it('proposes similar names with the same car number', () => {
+    const [match] = findRacerMatches([jon, jonathan])
+    expect(match.keys).toEqual(['Jon|Smith|12', 'Jonathan|Smith|12'])
+    expect(match.reasons).toContain('same car number #12')
+  })
+
+  it('never proposes racers who ran in the same heat', () => {
+    expect(findRacerMatches([jon, result('Jonathan', { Lane: 2 })])).toEqual([])
+  })
+
+  it('does not propose a pair again once it has been decided', () => {
+    const decisions = decideRacerMatch([], ['Jon|Smith|12', 'Jonathan|Smith|12'], false)
+    expect(findRacerMatches([jon, jonathan], decisions)).toEqual([])
+  })
+})
+
+describe('merged identities in the statistics', () => {
+  it('reports merged identities in one class as one racer', () => {
+    const rawRecords = [
+      { FirstName: 'Jon', Heat: 1, Lane: 1, FinishTime: 3.0 },
+      { FirstName: 'Al', CarNumber: '7', Heat: 1, Lane: 2, FinishTime: 3.1 },
+      { FirstName: 'Jonathan', Heat: 2, Lane: 2, FinishTime: 3.2 },
+      { FirstName: 'Al', CarNumber: '7', Heat: 2, Lane: 1, FinishTime: 3.3 },
+      { FirstName: 'Jonathan', Heat: 3, Lane: 1, FinishTime: 0 },
+      { FirstName: 'Al', CarNumber: '7', Heat: 3, Lane: 2, FinishTime: 3.3 }
+    ].map(r => ({ LastName: 'Smith', CarNumber: '12', Class: 'Wolves', RoundID: 1, Completed: 1, ...r }))
+    const processed = processIntermediateData(
+      [{ rawRecords, fileName: 'race.sqlite' }], { Wolves: 'Wolf Den' }, 2025,
+      { racerMatches: [{ keys: ['Jon|Smith|12', 'Jonathan|Smith|12'], merged: true }] }
+    )
+    const results = processed.resultsByClass['wolf den']
+    expect(results).toHaveLength(2)
+    const merged = results.find(r => r.lastName === 'Smith' && r.carNumber === '12')
+    expect(merged.raceCount).toBe(2)
+    expect(merged.dnfCount).toBe(1)
+    expect(merged.headToHead[results.find(r => r.firstName === 'Al').racerKey]).toEqual({ wins: 2, losses: 0, heats: 2 })
+  })
+})
@@ -0,0 +1,155 @@
+import {
+  getRankingKey, getAverageKey, getRankingValue, compareRankingValues, getProcessingOptions, findFinalsClassKey
+} from './dataProcessor'
+import { csvValue, downloadFile } from './fileExport'
+
+/**
+ * Columns of the roster CSV, in the order the race software expects to map them
+ */
+const ROSTER_COLUMNS = [
+  { key: 'carNumber', header: 'CarNumber' },
+  { key: 'firstName', header: 'FirstName' },
+  { key: 'lastName', header: 'LastName' },
+  { key: 'carName', header: 'CarName' },
+  { key: 'finalsClass', header: 'Class' },
+  { key: 'den', header: 'Den' },
+  { key: 'seed', header: 'Seed' },
+  { key: 'seedTime', header: 'SeedTime', format: t => t.toFixed(4) },
+  { key: 'qualification', header: 'Qualification' }
+]
+
+function escapeHtml(val) {
+  return String(val ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Build the Grand Finals roster from the finalists and wildcards picked in processIntermediateData
+ * Qualifiers are seeded by the same ranking (and tie-breakers) used to pick them.
+ * @param {Object} raceData - Result of processIntermediateData
+ * @param {Object} settings - Report settings (avgMethod, grandFinalsKey, classTaxonomy, tieBreakers)
+ * @returns {Array} - [{ seed, firstName, lastName, carNumber, carName, den, finalsClass, seedTime, qualification }]
+ */
+export function buildFinalsRoster(raceData, settings = {}) {
+  const rankingKey = getRankingKey(settings.avgMethod)
+  const timeKey = getAverageKey(settings.avgMethod)
+  const { classTaxonomy, tieBreakers } = getProcessingOptions(settings)
+  const finalsKey = settings.grandFinalsKey || findFinalsClassKey(raceData.classes, classTaxonomy)
+  const finalsClass = raceData.classes.find(c => c.name.toLowerCase() === finalsKey)?.name || 'Grand Finals'
+
+  // Racer stats by id, from the den classes they qualified in
+  const statsById = new Map()
+  Object.values(raceData.resultsByClass).forEach(results => {
+    results.forEach(r => {
+      if (!statsById.has(r.racerId)) statsById.set(r.racerId, r)
+    })
+  })
+
+  const qualifiers = [
+    ...raceData.finalists.map(id => ({ racer: statsById.get(id), qualification: 'Den qualifier' })),
+    ...raceData.wildcards.map(id => ({ racer: statsById.get(id), qualification: 'Wildcard' }))
+  ].filter(q => q.racer)
+
+  return qualifiers
+    .sort((a, b) => compareRankingValues(a.racer, b.racer, rankingKey, tieBreakers))
+    .map(({ racer, qualification }, i) => ({
+      seed: i + 1,
+      firstName: racer.firstName,
+      lastName: racer.lastName,
+      carNumber: racer.carNumber,
+      carName: racer.carName || '',
+      den: racer.className,
+      finalsClass,
+      seedTime: getRankingValue(racer, timeKey),
+      qualification
+    }))
+}
+
+/**
+ * Convert a roster to CSV for import into the race software
+ * @param {Array} roster - Result of buildFinalsRoster
+ * @returns {string} - CSV formatted string
+ */
+export function rosterToCSV(roster) {
+  const rows = [ROSTER_COLUMNS.map(c => c.header).join(',')]
+  roster.forEach(entry => {
+    rows.push(ROSTER_COLUMNS.map(c => csvValue(c.format ? c.format(entry[c.key]) : entry[c.key])).join(','))
+  })
+  return rows.join('\n')
+}
+
+/**
+ * Download the roster as a CSV file
+ * @param {Array} roster - Result of buildFinalsRoster
+ * @param {string} filename - The filename to use (without extension)
+ */
+export function downloadRosterCSV(roster, filename = 'grand_finals_roster') {
+  downloadFile(rosterToCSV(roster), `${filename}.csv`, 'text/csv;charset=utf-8;')
+}
+
+/**
+ * Open a printable roster sheet (with check-in boxes) in a new window
+ * @param {Array} roster - Result of buildFinalsRoster
+ * @param {string} title - Title printed at the top of the sheet
+ */
+export function openPrintableRoster(roster, title = 'Grand Finals Roster') {
+  if (roster.length === 0) {
+    alert('No qualifiers to print')
+    return
+  }
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 20px; }
+    h1 { color: #1e40af; margin-bottom: 4px; }
+    .stats { color: #666; margin-bottom: 20px; }
+    table { border-collapse: collapse; width: 100%; font-size: 14px; }
+    th { background: #1e40af; color: white; padding: 8px 12px; text-align: left; }
+    td { border: 1px solid #ddd; padding: 8px 10px; }
+    tr:nth-child(even) { background: #f9fafb; }
+    .number { text-align: right; font-family: monospace; }
+    .check { width: 60px; }
+    .print-button { margin-bottom: 16px; padding: 6px 14px; }
+    @media print { .print-button { display: none; } th { color: black; background: #e5e7eb; } }
+  </style>
+</head>
+<body>
+  <button class="print-button" onclick="window.print()">Print</button>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="stats">${roster.length} qualifiers</p>
+  <table>
+    <thead>
+      <tr><th>Seed</th><th>Car #</th><th>Scout</th><th>Car Name</th><th>Den</th><th>Seed Time</th><th>Qualified As</th><th class="check">Checked In</th></tr>
+    </thead>
+    <tbody>
+      ${roster.map(entry => `<tr>
+        <td class="number">${entry.seed}</td>
+        <td class="number">${escapeHtml(entry.carNumber)}</td>
+        <td>${escapeHtml(entry.firstName)} ${escapeHtml(entry.lastName)}</td>
+        <td>${escapeHtml(entry.carName)}</td>
+        <td>${escapeHtml(entry.den)}</td>
+        <td class="number">${entry.seedTime.toFixed(4)}</td>
+        <td>${escapeHtml(entry.qualification)}</td>
+        <td class="check"></td>
+      </tr>`).join('\n      ')}
+    </tbody>
+  </table>
+</body>
+</html>
+  `
+
+  const newWindow = window.open('', '_blank')
+  if (newWindow) {
+    newWindow.document.write(html)
+    newWindow.document.close()
+  } else {
+    alert('Unable to open new window. Please allow popups for this site.')
+  }
+}
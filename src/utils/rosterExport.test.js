@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest'
+import { buildFinalsRoster, rosterToCSV } from './rosterExport'
+
+const racer = (firstName, className, avgExceptSlowest, fields = {}) => ({
+  racerId: `${firstName} Lee #${firstName.length}`,
+  firstName,
+  lastName: 'Lee',
+  carNumber: String(firstName.length),
+  className,
+  avgExceptSlowest,
+  avgTime: avgExceptSlowest + 0.1,
+  bestTime: avgExceptSlowest - 0.1,
+  ...fields
+})
+
+const ann = racer('Ann', 'Wolf Den', 3.2)
+const ben = racer('Benny', 'Wolf Den', 3.5)
+const cal = racer('Cal', 'Bear Den', 3.1, { carName: 'Blue, Fast' })
+const dee = racer('Deedee', 'Bear Den', 3.4)
+
+const raceData = {
+  classes: [{ name: 'Wolf Den' }, { name: 'Bear Den' }, { name: 'Grand Finals' }],
+  resultsByClass: { 'wolf den': [ann, ben], 'bear den': [cal, dee] },
+  finalists: [ann.racerId, cal.racerId],
+  wildcards: [dee.racerId]
+}
+
+describe('buildFinalsRoster', () => {
+  it('seeds den qualifiers and wildcards together by the ranking average', () => {
+    const roster = buildFinalsRoster(raceData, {})
+    expect(roster.map(e => [e.seed, e.firstName, e.den, e.qualification])).toEqual([
+      [1, 'Cal', 'Bear Den', 'Den qualifier'],
+      [2, 'Ann', 'Wolf Den', 'Den qualifier'],
+      [3, 'Deedee', 'Bear Den', 'Wildcard']
+    ])
+    expect(roster[0]).toMatchObject({ finalsClass: 'Grand Finals', seedTime: 3.1, carName: 'Blue, Fast' })
+  })
+
+  it('seeds on the average time shown for the ranking method', () => {
+    const roster = buildFinalsRoster(raceData, { avgMethod: 'allHeats' })
+    expect(roster.map(e => e.seedTime.toFixed(4))).toEqual(['3.2000', '3.3000', '3.5000'])
+  })
+
+  it('breaks seeds equal at ranking precision with the tie-breakers', () => {
+    const close = {
+      ...raceData,
+      resultsByClass: {
+        'wolf den': [racer('Ann', 'Wolf Den', 3.10004, { bestTime: 3.05 })],
+        'bear den': [racer('Cal', 'Bear Den', 3.10001, { bestTime: 3.08 })]
+      },
+      wildcards: []
+    }
+    expect(buildFinalsRoster(close, {}).map(e => e.firstName)).toEqual(['Ann', 'Cal'])
+  })
+
+  it('leaves out qualifiers without racer statistics', () => {
+    const roster = buildFinalsRoster({ ...raceData, wildcards: ['Nobody #0'] }, {})
+    expect(roster.map(e => e.firstName)).toEqual(['Cal', 'Ann'])
+  })
+})
+
+describe('rosterToCSV', () => {
+  it('writes the roster columns with quoted cells and four-decimal seed times', () => {
+    const lines = rosterToCSV(buildFinalsRoster(raceData, {})).split('\n')
+    expect(lines[0]).toBe('CarNumber,FirstName,LastName,CarName,Class,Den,Seed,SeedTime,Qualification')
+    expect(lines[1]).toBe('3,Cal,Lee,"Blue, Fast",Grand Finals,Bear Den,1,3.1000,Den qualifier')
+    expect(lines).toHaveLength(4)
+  })
+})
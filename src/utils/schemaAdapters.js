@@ -0,0 +1,195 @@
+/**
+ * Per-vendor SQLite schema adapters
+ *
+ * Each adapter knows how to recognize one race software's database layout and
+ * how to pull race rows out of it in the standardized intermediate format
+ * (Year, FirstName, LastName, CarNumber, CarName, Class, RoundID, Heat, Lane,
+ * Completed, FinishTime, FinishPlace, FullName, KidCarYear, RunOrder).
+ *
+ * RunOrder is the RaceChart row id: a re-run lane gets a new, higher row id, so it
+ * tells which of two recorded runs is the latest.
+ *
+ * Queries are prepared statements; the year is always a bound :year parameter.
+ */
+
+/**
+ * Error raised when a database is missing tables or columns an adapter needs
+ * The message is written for the user, since it is shown as-is in the upload error banner.
+ */
+export class SchemaError extends Error {
+  constructor(fileName, { missingTables, missingColumns }, expected) {
+    const problems = []
+    if (missingTables.length > 0) {
+      problems.push(`missing table${missingTables.length > 1 ? 's' : ''} ${missingTables.join(', ')}`)
+    }
+    if (missingColumns.length > 0) {
+      problems.push(`missing column${missingColumns.length > 1 ? 's' : ''} ${missingColumns.join(', ')}`)
+    }
+    super(`${fileName} is not ${expected}: ${problems.join('; ')}`)
+    this.name = 'SchemaError'
+    this.missingTables = missingTables
+    this.missingColumns = missingColumns
+  }
+}
+
+function hasTable(tables, name) {
+  return tables.some(t => t.toLowerCase() === name.toLowerCase())
+}
+
+function hasColumn(columns, name) {
+  return columns.some(c => c.toLowerCase() === name.toLowerCase())
+}
+
+/**
+ * GrandPrix Race Manager by Lisano Enterprises
+ */
+const grandPrixAdapter = {
+  id: 'grandprix',
+  label: 'GrandPrix Race Manager',
+
+  requiredColumns: {
+    RegistrationInfo: ['RacerID', 'FirstName', 'LastName', 'CarNumber', 'CarName'],
+    RaceChart: ['RacerID', 'ClassID', 'RoundID', 'Heat', 'Lane', 'Completed', 'FinishTime', 'FinishPlace'],
+    Classes: ['ClassID', 'Class']
+  },
+
+  detect(tables) {
+    return ['RegistrationInfo', 'RaceChart', 'Classes'].every(t => hasTable(tables, t))
+  },
+
+  extractRecords(db, year) {
+    return db.query(`
+      SELECT
+        :year AS Year,
+        FirstName,
+        LastName,
+        CarNumber,
+        CarName,
+        Class,
+        RoundID,
+        Heat,
+        Lane,
+        Completed,
+        FinishTime,
+        FinishPlace,
+        (FirstName || ' ' || LastName) AS FullName,
+        (FirstName || ' ' || LastName || ' (#' || CarNumber || '''' || :year || ') - ' || Class) AS KidCarYear,
+        RaceChart.rowid AS RunOrder
+      FROM RegistrationInfo, RaceChart, Classes
+      WHERE RaceChart.RacerID = RegistrationInfo.RacerID
+        AND RaceChart.ClassID = Classes.ClassID
+      ORDER BY RaceChart.rowid
+    `, { ':year': String(year) })
+  },
+
+  listClasses(db) {
+    return db.query('SELECT Class FROM Classes ORDER BY ClassID').map(r => r.Class)
+  }
+}
+
+/**
+ * DerbyNet (open source race management)
+ * Rounds live in their own table, and RaceChart.Completed holds a timestamp
+ * rather than a flag, so both are normalized here.
+ */
+const derbyNetAdapter = {
+  id: 'derbynet',
+  label: 'DerbyNet',
+
+  requiredColumns: {
+    RegistrationInfo: ['RacerID', 'FirstName', 'LastName', 'CarNumber', 'CarName'],
+    RaceChart: ['RacerID', 'ClassID', 'RoundID', 'Heat', 'Lane', 'Completed', 'FinishTime', 'FinishPlace'],
+    Classes: ['ClassID', 'Class'],
+    Rounds: ['RoundID', 'Round']
+  },
+
+  detect(tables, getColumns) {
+    if (!['RegistrationInfo', 'RaceChart', 'Classes', 'Rounds'].every(t => hasTable(tables, t))) {
+      return false
+    }
+    // RaceInfo (key/value settings) and MasterHeat are DerbyNet-specific
+    return hasTable(tables, 'RaceInfo') || hasColumn(getColumns('RaceChart'), 'MasterHeat')
+  },
+
+  extractRecords(db, year) {
+    return db.query(`
+      SELECT
+        :year AS Year,
+        RegistrationInfo.FirstName,
+        RegistrationInfo.LastName,
+        RegistrationInfo.CarNumber,
+        RegistrationInfo.CarName,
+        Classes.Class,
+        Rounds.Round AS RoundID,
+        RaceChart.Heat,
+        RaceChart.Lane,
+        (CASE WHEN RaceChart.Completed IS NULL OR RaceChart.Completed = '' THEN 0 ELSE 1 END) AS Completed,
+        RaceChart.FinishTime,
+        RaceChart.FinishPlace,
+        (RegistrationInfo.FirstName || ' ' || RegistrationInfo.LastName) AS FullName,
+        (RegistrationInfo.FirstName || ' ' || RegistrationInfo.LastName || ' (#' || RegistrationInfo.CarNumber || '''' || :year || ') - ' || Classes.Class) AS KidCarYear,
+        RaceChart.rowid AS RunOrder
+      FROM RaceChart
+        JOIN RegistrationInfo ON RaceChart.RacerID = RegistrationInfo.RacerID
+        JOIN Classes ON RaceChart.ClassID = Classes.ClassID
+        JOIN Rounds ON RaceChart.RoundID = Rounds.RoundID
+      ORDER BY Classes.ClassID, Rounds.Round, RaceChart.Heat, RaceChart.Lane, RaceChart.rowid
+    `, { ':year': String(year) })
+  },
+
+  listClasses(db) {
+    const orderBy = hasColumn(db.getColumns('Classes'), 'SortOrder')
+      ? 'SortOrder, ClassID'
+      : 'ClassID'
+    return db.query(`SELECT Class FROM Classes ORDER BY ${orderBy}`).map(r => r.Class)
+  }
+}
+
+/**
+ * Registered adapters, most specific first (DerbyNet shares table names with
+ * GrandPrix Race Manager, so it must be checked before the generic match)
+ */
+export const SCHEMA_ADAPTERS = [derbyNetAdapter, grandPrixAdapter]
+
+/**
+ * The generic GrandPrix layout every supported format builds on
+ * Unrecognized databases are checked against it to explain what is missing.
+ */
+export const BASE_SCHEMA_ADAPTER = grandPrixAdapter
+
+/**
+ * Check a database against an adapter's required tables and columns
+ * @param {Object} db - Database object from parseDatabase
+ * @param {Object} requiredColumns - Map from table name to required column names
+ * @returns {Object} - { missingTables, missingColumns } (columns as "Table.Column")
+ */
+export function checkSchema(db, requiredColumns) {
+  const tables = db.getTables()
+  const missingTables = []
+  const missingColumns = []
+
+  Object.entries(requiredColumns).forEach(([table, columns]) => {
+    const actualName = tables.find(t => t.toLowerCase() === table.toLowerCase())
+    if (!actualName) {
+      missingTables.push(table)
+      return
+    }
+    const actualColumns = db.getColumns(actualName)
+    columns
+      .filter(col => !hasColumn(actualColumns, col))
+      .forEach(col => missingColumns.push(`${table}.${col}`))
+  })
+
+  return { missingTables, missingColumns }
+}
+
+/**
+ * Inspect a database's tables/columns and pick the matching adapter
+ * @param {Object} db - Database object from parseDatabase
+ * @returns {Object|null} - The matching adapter, or null if none recognize it
+ */
+export function detectSchema(db) {
+  const tables = db.getTables()
+  const getColumns = (table) => db.getColumns(table)
+  return SCHEMA_ADAPTERS.find(adapter => adapter.detect(tables, getColumns)) || null
+}
@@ -0,0 +1,105 @@
+/**
+ * Session persistence in IndexedDB
+ *
+ * The uploaded files (as raw bytes) and the report state (class mapping,
+ * spreadsheet column mappings, settings including design awards and layout,
+ * current step) are saved as the user works, so the report can be resumed
+ * after the tab is closed. Everything stays in this browser until cleared.
+ *
+ * Files and state are stored under separate keys so that settings changes
+ * don't rewrite the databases each time.
+ */
+
+const DB_NAME = 'pinewood-derby-report'
+const STORE_NAME = 'session'
+const FILES_KEY = 'files'
+const STATE_KEY = 'state'
+
+export const SESSION_VERSION = 1
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1)
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Run one request against the session store and resolve with its result
+async function withStore(mode, makeRequest) {
+  const db = await openDatabase()
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode)
+      const request = makeRequest(transaction.objectStore(STORE_NAME))
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  } finally {
+    db.close()
+  }
+}
+
+/**
+ * Read uploaded files into storable records
+ * @param {Array<File>} files - Uploaded files
+ * @returns {Promise<Array>} - [{ name, type, lastModified, bytes: ArrayBuffer }]
+ */
+export function readSessionFiles(files) {
+  return Promise.all(files.map(async file => ({
+    name: file.name,
+    type: file.type,
+    lastModified: file.lastModified,
+    bytes: await file.arrayBuffer()
+  })))
+}
+
+/**
+ * Turn stored file records back into File objects for the upload pipeline
+ * @param {Array} storedFiles - Records from readSessionFiles
+ * @returns {Array<File>}
+ */
+export function toFiles(storedFiles) {
+  return storedFiles.map(f => new File([f.bytes], f.name, { type: f.type, lastModified: f.lastModified }))
+}
+
+/**
+ * Save the uploaded files, replacing any earlier session (its state no longer applies)
+ * @param {Array} storedFiles - Records from readSessionFiles
+ */
+export async function saveSessionFiles(storedFiles) {
+  await withStore('readwrite', store => store.delete(STATE_KEY))
+  await withStore('readwrite', store => store.put(storedFiles, FILES_KEY))
+}
+
+/**
+ * Save the report state
+ * @param {Object} state - { step, classMapping, columnMappings, settings }
+ */
+export async function saveSessionState(state) {
+  await withStore('readwrite', store => store.put({
+    ...state,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString()
+  }, STATE_KEY))
+}
+
+/**
+ * Load the saved session
+ * @returns {Promise<Object|null>} - { files, state } or null if no files are stored
+ */
+export async function loadSession() {
+  const files = await withStore('readonly', store => store.get(FILES_KEY))
+  if (!files || files.length === 0) return null
+  const state = await withStore('readonly', store => store.get(STATE_KEY))
+  return { files, state: state?.version === SESSION_VERSION ? state : null }
+}
+
+/**
+ * Delete everything stored for the session
+ */
+export async function clearSession() {
+  await withStore('readwrite', store => store.clear())
+}
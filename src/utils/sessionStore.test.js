@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest'
+import { readSessionFiles, toFiles } from './sessionStore'
+import { getFileKey } from './fileValidation'
+
+describe('session files', () => {
+  it('restores files with the same name, type, date and contents', async () => {
+    const uploaded = [
+      new File(['Name,Time\nSam,3.1'], 'results.csv', { type: 'text/csv', lastModified: 1700000000000 }),
+      new File([new Uint8Array([0, 1, 255])], 'race.sqlite', { lastModified: 1700000001000 })
+    ]
+    const restored = toFiles(await readSessionFiles(uploaded))
+    // Column mappings are saved against the file key, so it must survive a restore
+    expect(restored.map(getFileKey)).toEqual(uploaded.map(getFileKey))
+    expect(restored.map(f => f.type)).toEqual(['text/csv', ''])
+    expect(await restored[0].text()).toBe('Name,Time\nSam,3.1')
+    expect(new Uint8Array(await restored[1].arrayBuffer())).toEqual(new Uint8Array([0, 1, 255]))
+  })
+})
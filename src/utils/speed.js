@@ -0,0 +1,62 @@
+/**
+ * Speed conversions from finish times and the track configuration
+ *
+ * A pinewood car is roughly a 1:25 model of a real car, so "scale speed" is the
+ * real speed multiplied by the scale factor.
+ */
+
+/**
+ * Track length in feet and model scale factor
+ * 42 ft is a common aluminum track; 25 matches a 7" car against a full-size car.
+ */
+export const DEFAULT_TRACK_CONFIG = {
+  trackLength: 42,
+  scaleFactor: 25
+}
+
+/**
+ * Units that times can be shown in on the charts
+ */
+export const SPEED_UNITS = {
+  seconds: { label: 'Seconds', axisLabel: 'Time (seconds)', higherIsBetter: false, decimals: 4 },
+  scaleMph: { label: 'Scale mph', axisLabel: 'Scale speed (mph)', higherIsBetter: true, decimals: 1 },
+  fps: { label: 'Feet per second', axisLabel: 'Speed (ft/s)', higherIsBetter: true, decimals: 2 }
+}
+
+const FEET_PER_MILE = 5280
+const SECONDS_PER_HOUR = 3600
+
+/**
+ * Average speed over the track in feet per second
+ * @param {number} time - Finish time in seconds
+ * @param {Object} trackConfig - { trackLength, scaleFactor }
+ * @returns {number} - 0 if the time or track length is missing
+ */
+export function feetPerSecond(time, trackConfig = DEFAULT_TRACK_CONFIG) {
+  if (!(time > 0) || !(trackConfig.trackLength > 0)) return 0
+  return trackConfig.trackLength / time
+}
+
+/**
+ * Scale speed in miles per hour (real speed times the scale factor)
+ * @param {number} time - Finish time in seconds
+ * @param {Object} trackConfig - { trackLength, scaleFactor }
+ * @returns {number} - 0 if the time or track length is missing
+ */
+export function scaleMph(time, trackConfig = DEFAULT_TRACK_CONFIG) {
+  const mph = feetPerSecond(time, trackConfig) * SECONDS_PER_HOUR / FEET_PER_MILE
+  return mph * (trackConfig.scaleFactor || 1)
+}
+
+/**
+ * Convert a finish time to the chosen chart units
+ * @param {number} time - Finish time in seconds
+ * @param {string} units - Key of SPEED_UNITS
+ * @param {Object} trackConfig - { trackLength, scaleFactor }
+ * @returns {number}
+ */
+export function convertTime(time, units, trackConfig = DEFAULT_TRACK_CONFIG) {
+  if (units === 'scaleMph') return scaleMph(time, trackConfig)
+  if (units === 'fps') return feetPerSecond(time, trackConfig)
+  return time
+}
@@ -1,18 +1,15 @@
+import initSqlJs from 'sql.js/dist/sql-wasm.js'
+import sqlWasmUrl from 'sql.js/dist/sql-wasm.wasm?url'
+import { detectSchema, checkSchema, BASE_SCHEMA_ADAPTER, SchemaError } from './schemaAdapters'
+import { DEFAULT_TAXONOMY, getClassNames, guessClassName } from './taxonomy'
+
 // Cache the SQL.js initialization
 let SQL = null
 
 /**
- * Standard den names for mapping
+ * Standard den names for mapping (the default class taxonomy)
  */
-export const STANDARD_DEN_NAMES = [
-  "Lion Den",
-  "Tiger Den", 
-  "Wolf Den",
-  "Bear Den",
-  "Webelos Den",
-  "Arrow of Light",
-  "Grand Finals"
-]
+export const STANDARD_DEN_NAMES = getClassNames(DEFAULT_TAXONOMY)
 
 /**
  * Special value to indicate a class should be skipped/not imported
@@ -21,50 +18,22 @@ export const SKIP_CLASS = '__SKIP__'
 
 /**
  * Best-guess mapping from raw class names to standard den names
+ * Returns null when nothing matches, so the user must map the class manually.
  */
 export function guessStandardDenName(rawClassName) {
-  const lower = rawClassName.toLowerCase()
-  
-  if (lower.includes('lion')) return 'Lion Den'
-  if (lower.includes('tiger')) return 'Tiger Den'
-  if (lower.includes('wolf') || lower.includes('wolves')) return 'Wolf Den'
-  if (lower.includes('bear')) return 'Bear Den'
-  if (lower.includes('webelos')) return 'Webelos Den'
-  if (lower.includes('arrow') || lower.includes('aol')) return 'Arrow of Light'
-  if (lower.includes('grand') || lower.includes('final')) return 'Grand Finals'
-  
-  // No match - return null to indicate user must map manually
-  return null
-}
-
-/**
- * Load sql.js from CDN dynamically
- */
-function loadSqlJsScript() {
-  return new Promise((resolve, reject) => {
-    if (window.initSqlJs) {
-      resolve(window.initSqlJs)
-      return
-    }
-    
-    const script = document.createElement('script')
-    script.src = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.10.3/sql-wasm.js'
-    script.onload = () => resolve(window.initSqlJs)
-    script.onerror = () => reject(new Error('Failed to load sql.js'))
-    document.head.appendChild(script)
-  })
+  return guessClassName(rawClassName, DEFAULT_TAXONOMY)
 }
 
 /**
  * Initialize sql.js (loads the WASM file)
+ * Both the script and the WASM binary are bundled by Vite and precached by the
+ * service worker, so parsing works without a network connection.
  */
 async function initSQL() {
   if (SQL) return SQL
   
-  const initSqlJs = await loadSqlJsScript()
-  
   SQL = await initSqlJs({
-    locateFile: () => 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.10.3/sql-wasm.wasm'
+    locateFile: () => sqlWasmUrl
   })
   
   return SQL
@@ -76,33 +45,45 @@ async function initSQL() {
  * @returns {Object} - Database object with query methods
  */
 export async function parseDatabase(file) {
-  const SQL = await initSQL()
-  
   // Read file as ArrayBuffer
   const arrayBuffer = await file.arrayBuffer()
-  const uint8Array = new Uint8Array(arrayBuffer)
+  
+  return openDatabase(file.name, arrayBuffer)
+}
+
+/**
+ * Open a SQLite database from raw bytes
+ * Used directly by the database worker, which receives file contents rather than File objects.
+ * @param {string} name - File name of the database
+ * @param {ArrayBuffer} arrayBuffer - Raw database bytes
+ * @returns {Object} - Database object with query methods
+ */
+export async function openDatabase(name, arrayBuffer) {
+  const SQL = await initSQL()
   
   // Create database from file
-  const db = new SQL.Database(uint8Array)
+  const db = new SQL.Database(new Uint8Array(arrayBuffer))
   
   return {
-    name: file.name,
+    name,
     
     /**
-     * Execute a SQL query and return results as array of objects
+     * Execute a SQL query as a prepared statement and return results as array of objects
+     * @param {string} sql - SQL with ? or :name placeholders
+     * @param {Array|Object} params - Values bound to the placeholders
      */
-    query(sql) {
-      const results = db.exec(sql)
-      if (results.length === 0) return []
-      
-      const { columns, values } = results[0]
-      return values.map(row => {
-        const obj = {}
-        columns.forEach((col, i) => {
-          obj[col] = row[i]
-        })
-        return obj
-      })
+    query(sql, params = []) {
+      const stmt = db.prepare(sql)
+      try {
+        stmt.bind(params)
+        const rows = []
+        while (stmt.step()) {
+          rows.push(stmt.getAsObject())
+        }
+        return rows
+      } finally {
+        stmt.free()
+      }
     },
     
     /**
@@ -114,6 +95,13 @@ export async function parseDatabase(file) {
       ).map(r => r.name)
     },
     
+    /**
+     * Get the column names of a table
+     */
+    getColumns(table) {
+      return this.query('SELECT name FROM pragma_table_info(?)', [table]).map(r => r.name)
+    },
+    
     /**
      * Get raw database object for advanced operations
      */
@@ -132,43 +120,115 @@ export async function parseDatabase(file) {
 
 /**
  * Extract race data using the standardized intermediate format
+ * The database vendor (GrandPrix Race Manager, DerbyNet, ...) is detected from
+ * its schema and the matching adapter emits the same record shape for each.
  * @param {Object} db - Database object from parseDatabase
  * @param {number} year - The year to use for this database
  * @returns {Object} - Extracted race data with standardized fields
  */
 export function extractIntermediateData(db, year) {
-  const query = `
-    SELECT 
-      "${year}" as Year, 
-      FirstName, 
-      LastName, 
-      CarNumber,
-      CarName,
-      Class, 
-      RoundID, 
-      Heat, 
-      Lane, 
-      Completed, 
-      FinishTime, 
-      FinishPlace,
-      (FirstName || " " || LastName) as FullName,
-      (FirstName || " " || LastName || " (#" || CarNumber || "'" || "${year}" || ") - " || Class) as KidCarYear
-    FROM RegistrationInfo, RaceChart, Classes 
-    WHERE RaceChart.RacerID = RegistrationInfo.RacerID 
-      AND RaceChart.ClassID = Classes.ClassID
-  `
+  let adapter
+  try {
+    adapter = detectSchema(db)
+  } catch (err) {
+    // sql.js only notices a non-SQLite file on the first query
+    throw new Error(`${db.name} could not be read as a SQLite database (${err.message})`)
+  }
   
-  const results = db.query(query)
+  if (!adapter) {
+    // Report against the generic GrandPrix layout that every supported format builds on
+    throw new SchemaError(db.name, checkSchema(db, BASE_SCHEMA_ADAPTER.requiredColumns), 'a recognized race database')
+  }
+  
+  // Catch missing columns before sql.js fails with a raw "no such column" error
+  const schemaCheck = checkSchema(db, adapter.requiredColumns)
+  if (schemaCheck.missingTables.length > 0 || schemaCheck.missingColumns.length > 0) {
+    throw new SchemaError(db.name, schemaCheck, `a ${adapter.label} database`)
+  }
+  
+  const results = adapter.extractRecords(db, year)
   
   // Get ALL classes from database (including those with no race data)
-  const allDbClasses = db.query('SELECT Class FROM Classes ORDER BY ClassID')
-    .map(r => r.Class)
+  const allDbClasses = adapter.listClasses(db)
+  
+  return buildIntermediateData(results, year, allDbClasses, adapter.label)
+}
+
+/**
+ * Check the "SQLite format 3" magic header at the start of a file
+ * @param {ArrayBuffer} arrayBuffer - Raw file bytes
+ * @returns {boolean}
+ */
+export function isSqliteData(arrayBuffer) {
+  const header = new Uint8Array(arrayBuffer, 0, Math.min(16, arrayBuffer.byteLength))
+  return String.fromCharCode(...header) === 'SQLite format 3\0'
+}
+
+/**
+ * Pre-flight check of an uploaded database before it is used for a report
+ * Problems are collected rather than thrown so every file can be summarized.
+ * @param {Object} db - Database object from parseDatabase
+ * @returns {Object} - Summary with source, counts, errors and warnings
+ */
+export function validateDatabase(db) {
+  const summary = {
+    fileName: db.name,
+    source: null,
+    racerCount: 0,
+    classCount: 0,
+    heatCount: 0,
+    completedHeatCount: 0,
+    isFinished: false,
+    errors: [],
+    warnings: []
+  }
+  
+  let data
+  try {
+    data = extractIntermediateData(db, new Date().getFullYear())
+  } catch (err) {
+    summary.errors.push(err.message)
+    return summary
+  }
   
+  const records = data.rawRecords
+  const heatKey = (r) => `${r.Class}|${r.RoundID}|${r.Heat}`
+  const heats = new Set(records.map(heatKey))
+  const completedHeats = new Set(records.filter(r => r.FinishTime > 0).map(heatKey))
+  
+  summary.source = data.source
+  summary.racerCount = new Set(records.map(r => `${r.FullName}|${r.CarNumber}`)).size
+  summary.classCount = data.uniqueClasses.filter(cls => data.classStats[cls].racerCount > 0).length
+  summary.heatCount = heats.size
+  summary.completedHeatCount = completedHeats.size
+  summary.isFinished = heats.size > 0 && completedHeats.size === heats.size
+  
+  if (summary.racerCount === 0) {
+    summary.errors.push('No racers have been scheduled in any heat')
+  } else if (completedHeats.size === 0) {
+    summary.warnings.push('No heats have finish times yet')
+  } else if (!summary.isFinished) {
+    summary.warnings.push(`Race not finished: ${completedHeats.size} of ${heats.size} heats have finish times`)
+  }
+  
+  return summary
+}
+
+/**
+ * Build the intermediate data set (class list + per-class counts) from records
+ * Shared by every importer so class mapping sees the same shape regardless of source.
+ * @param {Array} results - Records in the standardized intermediate format
+ * @param {number} year - The year for this data
+ * @param {Array} knownClasses - Classes defined by the source, even if they have no race data
+ * @param {string} source - Human-readable name of the data source
+ * @returns {Object} - { rawRecords, uniqueClasses, classStats, year, source }
+ */
+export function buildIntermediateData(results, year, knownClasses = [], source = null) {
   // Get unique class names from race data
   const classesWithData = [...new Set(results.map(r => r.Class))]
   
-  // Combine: all DB classes + any that appeared in race data
-  const uniqueClasses = [...new Set([...allDbClasses, ...classesWithData])]
+  // Combine: all known classes + any that appeared in race data
+  const uniqueClasses = [...new Set([...knownClasses, ...classesWithData])]
   
   // Calculate racer count per class (unique racers, not race records)
   const classStats = {}
@@ -185,7 +245,8 @@ export function extractIntermediateData(db, year) {
     rawRecords: results,
     uniqueClasses,
     classStats,
-    year
+    year,
+    source
   }
 }
 
@@ -219,7 +280,8 @@ export function applyClassMapping(records, classMapping, year) {
 /**
  * Perform sanity check on merged data
  * Ensures each racer appears in exactly one den race (excluding Grand Finals)
- * Uses name+carNumber as key (not KidCarYear which includes class name)
+ * Uses the resolved racer key (see racerIdentity.js), falling back to name+carNumber
+ * (not KidCarYear which includes class name)
  * @param {Array} mergedRecords - All merged records with mapped classes
  * @returns {Object} - Sanity check results with warnings
  */
@@ -227,7 +289,7 @@ export function performSanityCheck(mergedRecords, grandFinalsClass = 'Grand Fina
   const warnings = []
   
   // Create a racer key without class name for matching across den and grand finals
-  const getRacerKey = (r) => `${r.FirstName}|${r.LastName}|${r.CarNumber}`
+  const getRacerKey = (r) => r.RacerKey || `${r.FirstName}|${r.LastName}|${r.CarNumber}`
   
   // Get all unique racer keys (without class name)
   const racerKeys = [...new Set(mergedRecords.map(getRacerKey))]
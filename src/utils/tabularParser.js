@@ -0,0 +1,227 @@
+import { buildIntermediateData } from './sqliteParser'
+
+/**
+ * File extensions handled by the spreadsheet importer
+ */
+export const TABULAR_EXTENSIONS = ['.csv', '.xlsx', '.xls']
+
+/**
+ * Intermediate record fields that can be filled from a spreadsheet column
+ * Aliases are matched against normalized header text for the initial guess.
+ */
+export const TABULAR_FIELDS = [
+  { key: 'FirstName', label: 'First Name', required: true, aliases: ['firstname', 'first', 'givenname', 'scout', 'racer', 'name'] },
+  { key: 'LastName', label: 'Last Name', required: false, aliases: ['lastname', 'last', 'surname', 'familyname'] },
+  { key: 'CarNumber', label: 'Car Number', required: true, aliases: ['carnumber', 'carno', 'car', 'number', 'carid'] },
+  { key: 'CarName', label: 'Car Name', required: false, aliases: ['carname'] },
+  { key: 'Class', label: 'Class / Den', required: false, aliases: ['class', 'den', 'group', 'division', 'rank'] },
+  { key: 'RoundID', label: 'Round', required: false, aliases: ['roundid', 'round'] },
+  { key: 'Heat', label: 'Heat', required: true, aliases: ['heat', 'heatnumber', 'race', 'raceno'] },
+  { key: 'Lane', label: 'Lane', required: true, aliases: ['lane', 'track'] },
+  { key: 'FinishTime', label: 'Finish Time', required: true, aliases: ['finishtime', 'time', 'seconds', 'elapsed'] },
+  { key: 'FinishPlace', label: 'Finish Place', required: false, aliases: ['finishplace', 'place', 'position', 'pos'] },
+  { key: 'Completed', label: 'Completed', required: false, aliases: ['completed', 'done'] }
+]
+
+const NUMERIC_FIELDS = ['RoundID', 'Heat', 'Lane', 'FinishTime', 'FinishPlace']
+
+/**
+ * Check whether a file should go through the spreadsheet importer
+ */
+export function isTabularFile(fileName) {
+  const lower = fileName.toLowerCase()
+  return TABULAR_EXTENSIONS.some(ext => lower.endsWith(ext))
+}
+
+/**
+ * Parse CSV text into an array of rows (each an array of cell strings)
+ * Handles quoted cells, escaped quotes, embedded newlines and CRLF line endings.
+ * @param {string} text - Raw CSV text
+ * @returns {Array<Array<string>>} - Parsed rows
+ */
+export function parseCSV(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  // Strip UTF-8 byte order mark written by Excel
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i]
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"'
+          i++
+        } else {
+          inQuotes = false
+        }
+      } else {
+        cell += ch
+      }
+    } else if (ch === '"') {
+      inQuotes = true
+    } else if (ch === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += ch
+    }
+  }
+
+  // Last row (no trailing newline)
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(c => String(c).trim() !== ''))
+}
+
+/**
+ * Read a CSV or Excel file into a header row plus data rows
+ * @param {File} file - The spreadsheet file
+ * @returns {Object} - { name, headers, rows } where rows are arrays of cell values
+ */
+export async function readTabularFile(file) {
+  let allRows
+
+  if (file.name.toLowerCase().endsWith('.csv')) {
+    allRows = parseCSV(await file.text())
+  } else {
+    // Loaded on demand so the spreadsheet library isn't part of the main bundle
+    const XLSX = await import('xlsx')
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' })
+    const sheet = workbook.Sheets[workbook.SheetNames[0]]
+    allRows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' })
+      .filter(r => r.some(c => String(c).trim() !== ''))
+  }
+
+  if (allRows.length === 0) {
+    throw new Error(`${file.name} is empty`)
+  }
+
+  const [headerRow, ...rows] = allRows
+
+  return {
+    name: file.name,
+    headers: headerRow.map((h, i) => String(h).trim() || `Column ${i + 1}`),
+    rows
+  }
+}
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+/**
+ * Best-guess mapping from intermediate fields to spreadsheet column indexes
+ * @param {Array<string>} headers - Spreadsheet header row
+ * @returns {Object} - Map from field key to column index ('' when no match)
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader)
+  const used = new Set()
+  const mapping = {}
+
+  TABULAR_FIELDS.forEach(field => {
+    // Prefer exact alias matches, then headers that contain an alias
+    let index = normalized.findIndex((h, i) => !used.has(i) && field.aliases.includes(h))
+    if (index === -1) {
+      index = normalized.findIndex((h, i) => !used.has(i) && field.aliases.some(a => a.length > 3 && h.includes(a)))
+    }
+    if (index !== -1) {
+      used.add(index)
+      mapping[field.key] = index
+    } else {
+      mapping[field.key] = ''
+    }
+  })
+
+  return mapping
+}
+
+/**
+ * Check that every required field has a column assigned
+ */
+export function isColumnMappingComplete(columnMapping) {
+  return TABULAR_FIELDS
+    .filter(f => f.required)
+    .every(f => columnMapping[f.key] !== '' && columnMapping[f.key] !== undefined)
+}
+
+function toNumber(value) {
+  if (value === '' || value === null || value === undefined) return null
+  const num = typeof value === 'number' ? value : parseFloat(String(value).trim())
+  return Number.isFinite(num) ? num : null
+}
+
+function toCompleted(value, finishTime) {
+  if (value === '' || value === null || value === undefined) {
+    return finishTime > 0 ? 1 : 0
+  }
+  const lower = String(value).trim().toLowerCase()
+  return ['0', 'false', 'no', 'n'].includes(lower) ? 0 : 1
+}
+
+/**
+ * Convert spreadsheet rows into the same intermediate format as extractIntermediateData
+ * @param {Object} table - Parsed spreadsheet from readTabularFile
+ * @param {Object} columnMapping - Map from field key to column index
+ * @param {number} year - The year to use for this file
+ * @returns {Object} - Extracted race data with standardized fields
+ */
+export function extractTabularIntermediateData(table, columnMapping, year) {
+  // Files without a class column become a single class named after the file
+  const defaultClass = table.name.replace(/\.[^.]+$/, '')
+
+  const getCell = (row, key) => {
+    const index = columnMapping[key]
+    if (index === '' || index === undefined) return ''
+    const value = row[index]
+    return value === undefined || value === null ? '' : value
+  }
+
+  const records = table.rows
+    .map(row => {
+      const record = {}
+      TABULAR_FIELDS.forEach(({ key }) => {
+        const value = getCell(row, key)
+        record[key] = NUMERIC_FIELDS.includes(key) ? toNumber(value) : String(value).trim()
+      })
+      return record
+    })
+    .filter(r => r.FirstName || r.LastName)
+    .map(r => {
+      const className = r.Class || defaultClass
+      const fullName = `${r.FirstName} ${r.LastName}`.trim()
+      return {
+        Year: String(year),
+        FirstName: r.FirstName,
+        LastName: r.LastName,
+        CarNumber: r.CarNumber,
+        CarName: r.CarName,
+        Class: className,
+        RoundID: r.RoundID ?? 1,
+        Heat: r.Heat,
+        Lane: r.Lane,
+        Completed: toCompleted(r.Completed, r.FinishTime),
+        FinishTime: r.FinishTime,
+        FinishPlace: r.FinishPlace,
+        FullName: fullName,
+        KidCarYear: `${fullName} (#${r.CarNumber}'${year}) - ${className}`
+      }
+    })
+
+  return buildIntermediateData(records, year, [], 'Spreadsheet')
+}
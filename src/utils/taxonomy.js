@@ -0,0 +1,82 @@
+/**
+ * Class taxonomy: the classes race results are mapped into (classTaxonomy setting)
+ *
+ * The order of the list is the order classes appear in the report. Aliases are
+ * keywords that suggest a raw class name belongs to the class. One class can be
+ * the finals; classes marked excludeFromFinals never send racers to it.
+ */
+
+/**
+ * Cub Scout dens, Lion through Arrow of Light, plus the Grand Finals
+ */
+export const DEFAULT_TAXONOMY = {
+  classes: [
+    { name: 'Lion Den', aliases: ['lion'] },
+    { name: 'Tiger Den', aliases: ['tiger'] },
+    { name: 'Wolf Den', aliases: ['wolf', 'wolves'] },
+    { name: 'Bear Den', aliases: ['bear'] },
+    { name: 'Webelos Den', aliases: ['webelos'] },
+    { name: 'Arrow of Light', aliases: ['arrow', 'aol'] },
+    { name: 'Grand Finals', aliases: ['grand', 'final'], isFinals: true }
+  ]
+}
+
+/**
+ * Class names in report order
+ * @param {Object} taxonomy - Class taxonomy
+ * @returns {Array<string>}
+ */
+export function getClassNames(taxonomy = DEFAULT_TAXONOMY) {
+  return taxonomy.classes.map(c => c.name)
+}
+
+// The taxonomy class a name belongs to: exact name first, then an alias or name contained in it
+function findClass(name, taxonomy) {
+  const lower = name.toLowerCase()
+  return taxonomy.classes.find(c => c.name.toLowerCase() === lower) ||
+    taxonomy.classes.find(c =>
+      [c.name, ...(c.aliases || [])]
+        .map(keyword => keyword.trim().toLowerCase())
+        .some(keyword => keyword && lower.includes(keyword))
+    ) ||
+    null
+}
+
+/**
+ * Best-guess class for a raw class name from the race file
+ * @param {string} rawClassName - Class name from the race file
+ * @param {Object} taxonomy - Class taxonomy
+ * @returns {string|null} - Class name, or null if the user must map it
+ */
+export function guessClassName(rawClassName, taxonomy = DEFAULT_TAXONOMY) {
+  return findClass(rawClassName, taxonomy)?.name || null
+}
+
+/**
+ * Position of a class in the report order (unknown classes sort last)
+ * @param {string} name - Class name
+ * @param {Object} taxonomy - Class taxonomy
+ * @returns {number}
+ */
+export function getClassSortIndex(name, taxonomy = DEFAULT_TAXONOMY) {
+  const index = taxonomy.classes.indexOf(findClass(name, taxonomy))
+  return index === -1 ? taxonomy.classes.length : index
+}
+
+/**
+ * Name of the finals class
+ * @param {Object} taxonomy - Class taxonomy
+ * @returns {string|null}
+ */
+export function getFinalsClassName(taxonomy = DEFAULT_TAXONOMY) {
+  return taxonomy.classes.find(c => c.isFinals)?.name || null
+}
+
+/**
+ * Class keys (lowercase names) that never send racers to the finals
+ * @param {Object} taxonomy - Class taxonomy
+ * @returns {Array<string>}
+ */
+export function getFinalsExcludedKeys(taxonomy = DEFAULT_TAXONOMY) {
+  return taxonomy.classes.filter(c => c.excludeFromFinals).map(c => c.name.toLowerCase())
+}
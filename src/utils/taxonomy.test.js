@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest'
+import { guessClassName, getClassSortIndex, getFinalsClassName, getFinalsExcludedKeys } from './taxonomy'
+
+const taxonomy = {
+  classes: [
+    { name: 'Juniors', aliases: ['junior', 'jr'] },
+    { name: 'Seniors', aliases: ['senior'] },
+    { name: 'Siblings', aliases: ['sibling'], excludeFromFinals: true },
+    { name: 'Champions', aliases: ['champ'], isFinals: true }
+  ]
+}
+
+describe('guessClassName', () => {
+  it('matches the class name exactly before any alias', () => {
+    expect(guessClassName('SENIORS', taxonomy)).toBe('Seniors')
+    expect(guessClassName('Jr Racers 2025', taxonomy)).toBe('Juniors')
+  })
+
+  it('leaves unknown classes for the user to map', () => {
+    expect(guessClassName('Adults', taxonomy)).toBeNull()
+    expect(guessClassName('Wolves 2025')).toBe('Wolf Den')
+  })
+})
+
+describe('getClassSortIndex', () => {
+  it('orders classes as listed and unknown classes last', () => {
+    expect(['Champions', 'Adults', 'Juniors'].sort((a, b) =>
+      getClassSortIndex(a, taxonomy) - getClassSortIndex(b, taxonomy)
+    )).toEqual(['Juniors', 'Champions', 'Adults'])
+  })
+})
+
+describe('finals roles', () => {
+  it('names the finals class and the classes kept out of it', () => {
+    expect(getFinalsClassName(taxonomy)).toBe('Champions')
+    expect(getFinalsClassName({ classes: [{ name: 'Open' }] })).toBeNull()
+    expect(getFinalsExcludedKeys(taxonomy)).toEqual(['siblings'])
+  })
+})
@@ -0,0 +1,191 @@
+import { DEFAULT_TAXONOMY, guessClassName } from './taxonomy'
+import { downloadFile } from './fileExport'
+
+/**
+ * Report templates reused from year to year
+ *
+ * A template holds class-mapping rules (regular expressions matched against the
+ * raw class names, tried before the built-in guesses), the design award
+ * categories, the averaging method, the Grand Finals winner exclusion, the
+ * class taxonomy and the page layout. The active template is applied automatically to new uploads.
+ *
+ * Templates live in localStorage: they are small, and the class mapping step
+ * needs them synchronously when it builds its initial guesses.
+ */
+
+const STORAGE_KEY = 'pinewood-derby-report:templates'
+const TEMPLATE_FILE_FORMAT = 'pinewood-derby-report-templates'
+
+// Report settings a template carries as-is
+const TEMPLATE_SETTINGS = ['avgMethod', 'excludeGrandFinalsWinners', 'numGrandFinalsWinners', 'classTaxonomy', 'reportLayout']
+
+/**
+ * Load the saved templates and which one is applied to new uploads
+ * @returns {Object} - { templates: [...], activeName: string|null }
+ */
+export function loadTemplateStore() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (stored && Array.isArray(stored.templates)) {
+      return { templates: stored.templates, activeName: stored.activeName ?? null }
+    }
+  } catch (err) {
+    console.warn('Could not read saved templates:', err)
+  }
+  return { templates: [], activeName: null }
+}
+
+/**
+ * Save the templates and the active template name
+ * @param {Object} store - { templates, activeName }
+ */
+export function saveTemplateStore(store) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store))
+  } catch (err) {
+    console.warn('Could not save templates:', err)
+  }
+}
+
+/**
+ * Map a raw class name using template rules, falling back to the taxonomy's aliases
+ * Invalid patterns are skipped rather than breaking the mapping step.
+ * @param {string} rawClassName - Class name from the race file
+ * @param {Array} classRules - [{ pattern, den }] tried in order (case-insensitive)
+ * @param {Object} taxonomy - Class taxonomy
+ * @returns {string|null} - Den name, SKIP_CLASS, or null if nothing matched
+ */
+export function guessDenName(rawClassName, classRules = [], taxonomy = DEFAULT_TAXONOMY) {
+  for (const rule of classRules) {
+    try {
+      if (rule.pattern && new RegExp(rule.pattern, 'i').test(String(rawClassName).trim())) return rule.den
+    } catch {
+      // Ignore invalid regular expressions
+    }
+  }
+  return guessClassName(rawClassName, taxonomy)
+}
+
+// Four-digit years inside a class name ("Wolves 2025"), replaced by any year in derived rules
+const YEAR_PATTERN = /(?<!\d)(19|20)\d{2}(?!\d)/g
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Derive rules from a confirmed class mapping ("Wolves 2025" -> /^wolves\s+\d{4}$/ -> Wolf Den)
+ * The whole class name must match, with years generalized so the rule still matches next
+ * year's class names; every other word and number is kept, so "Den 1" and "Den 2" stay apart.
+ * A pattern that several different dens produce is dropped, since it can't tell them apart.
+ * @param {Object} classMapping - Raw class name -> den name (or SKIP_CLASS)
+ * @returns {Array} - [{ pattern, den }]
+ */
+export function deriveClassRules(classMapping = {}) {
+  const densByPattern = new Map()
+  Object.entries(classMapping).forEach(([rawClass, den]) => {
+    if (!den) return
+    const words = rawClass.toLowerCase().trim().split(/\s+/).filter(Boolean)
+    if (words.length === 0) return
+    const pattern = `^${words.map(word => escapeRegExp(word).replace(YEAR_PATTERN, '\\d{4}')).join('\\s+')}$`
+    if (!densByPattern.has(pattern)) densByPattern.set(pattern, new Set())
+    densByPattern.get(pattern).add(den)
+  })
+  return [...densByPattern.entries()]
+    .filter(([, dens]) => dens.size === 1)
+    .map(([pattern, dens]) => ({ pattern, den: [...dens][0] }))
+}
+
+/**
+ * Build a template from the current report
+ * @param {string} name - Template name
+ * @param {Object} settings - Report settings (design awards, averaging, exclusion, taxonomy, layout)
+ * @param {Object} classMapping - Confirmed class mapping
+ * @returns {Object} - Template
+ */
+export function createTemplate(name, settings, classMapping) {
+  return {
+    name,
+    classRules: deriveClassRules(classMapping),
+    designCategories: (settings.designAwards || []).map(a => a.category).filter(Boolean),
+    avgMethod: settings.avgMethod,
+    excludeGrandFinalsWinners: settings.excludeGrandFinalsWinners,
+    numGrandFinalsWinners: settings.numGrandFinalsWinners,
+    classTaxonomy: settings.classTaxonomy || null,
+    reportLayout: settings.reportLayout || null,
+    savedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Apply a template to report settings (design award winners start empty)
+ * @param {Object} settings - Report settings
+ * @param {Object} template - Template
+ * @returns {Object} - New settings
+ */
+export function applyTemplate(settings, template) {
+  const applied = { ...settings }
+  if (template.designCategories?.length > 0) {
+    applied.designAwards = template.designCategories.map(category => ({ category, winner: '', carName: '' }))
+  }
+  TEMPLATE_SETTINGS.forEach(key => {
+    if (template[key] !== undefined && template[key] !== null) applied[key] = template[key]
+  })
+  return applied
+}
+
+/**
+ * Fit a saved layout to this year's classes
+ * Items keep their saved column and order; items for classes that aren't in the
+ * race are dropped and new ones are added to the shorter column.
+ * @param {Object} layout - Saved layout ({ leftColumn, rightColumn })
+ * @param {Object} freshLayout - Default layout for the current classes
+ * @returns {Object} - Layout with current names and racer counts
+ */
+export function fitLayoutToClasses(layout, freshLayout) {
+  const freshItems = new Map(
+    [...freshLayout.leftColumn, ...freshLayout.rightColumn].map(item => [item.id, item])
+  )
+  const placed = new Set()
+  const keep = (column) => (column || [])
+    .filter(item => freshItems.has(item.id))
+    .map(item => {
+      placed.add(item.id)
+      return freshItems.get(item.id)
+    })
+
+  const fitted = { leftColumn: keep(layout.leftColumn), rightColumn: keep(layout.rightColumn) }
+  freshItems.forEach((item, id) => {
+    if (placed.has(id)) return
+    const column = fitted.leftColumn.length <= fitted.rightColumn.length ? 'leftColumn' : 'rightColumn'
+    fitted[column].push(item)
+  })
+  return fitted
+}
+
+/**
+ * Download templates as a JSON file
+ * @param {Array} templates - Templates to export
+ * @param {string} filename - The filename to use (without extension)
+ */
+export function downloadTemplates(templates, filename = 'pinewood_derby_templates') {
+  const json = JSON.stringify({ format: TEMPLATE_FILE_FORMAT, version: 1, templates }, null, 2)
+  downloadFile(json, `${filename}.json`, 'application/json')
+}
+
+/**
+ * Read templates from an exported JSON file
+ * @param {File} file - The selected file
+ * @returns {Promise<Array>} - Templates
+ */
+export async function readTemplatesFile(file) {
+  let parsed
+  try {
+    parsed = JSON.parse(await file.text())
+  } catch {
+    throw new Error(`${file.name} is not a template file`)
+  }
+  const templates = parsed?.format === TEMPLATE_FILE_FORMAT ? parsed.templates : null
+  if (!Array.isArray(templates) || templates.some(t => !t?.name)) {
+    throw new Error(`${file.name} is not a template file`)
+  }
+  return templates.map(t => ({ ...t, classRules: t.classRules || [] }))
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest'
+import { deriveClassRules, guessDenName, createTemplate, applyTemplate, fitLayoutToClasses } from './templates'
+
+describe('deriveClassRules', () => {
+  it('anchors the whole class name and generalizes years', () => {
+    const rules = deriveClassRules({ 'Wolves 2025': 'Wolf Den' })
+    expect(rules).toEqual([{ pattern: '^wolves\\s+\\d{4}$', den: 'Wolf Den' }])
+    expect(guessDenName('Wolves 2026', rules)).toBe('Wolf Den')
+    expect(guessDenName('Wolves 2026 Finals', rules, { classes: [] })).toBeNull()
+  })
+
+  it('keeps den numbers so numbered dens stay apart', () => {
+    const rules = deriveClassRules({ 'Den 1': 'Wolf Den', 'Den 2': 'Bear Den' })
+    expect(guessDenName('den 1', rules)).toBe('Wolf Den')
+    expect(guessDenName('Den 2', rules)).toBe('Bear Den')
+    expect(guessDenName('Den 12', rules, { classes: [] })).toBeNull()
+  })
+
+  it('drops a pattern that different dens produce', () => {
+    const rules = deriveClassRules({ 'Cubs 2024': 'Wolf Den', 'Cubs 2025': 'Bear Den', 'Lions 2025': 'Lion Den' })
+    expect(rules.map(r => r.den)).toEqual(['Lion Den'])
+  })
+
+  it('escapes regular expression characters and skips unmapped classes', () => {
+    const rules = deriveClassRules({ 'Open (Adults)': 'Open', 'Siblings': '' })
+    expect(rules).toEqual([{ pattern: '^open\\s+\\(adults\\)$', den: 'Open' }])
+  })
+})
+
+describe('guessDenName', () => {
+  it('falls back to the taxonomy and skips invalid patterns', () => {
+    expect(guessDenName('Wolves', [{ pattern: '(', den: 'Bear Den' }])).toBe('Wolf Den')
+  })
+})
+
+describe('applyTemplate', () => {
+  const settings = {
+    title: 'Pack 128',
+    avgMethod: 'dropSlowest',
+    designAwards: [{ category: 'Best Paint', winner: 'Sam', carName: 'Red' }]
+  }
+  const template = createTemplate('Spring', {
+    avgMethod: 'points',
+    numGrandFinalsWinners: 3,
+    designAwards: [{ category: 'Most Creative', winner: 'Max' }, { category: '' }]
+  }, { Wolves: 'Wolf Den' })
+
+  it('carries the template settings and starts design awards without winners', () => {
+    const applied = applyTemplate(settings, template)
+    expect(applied).toMatchObject({ title: 'Pack 128', avgMethod: 'points', numGrandFinalsWinners: 3 })
+    expect(applied.designAwards).toEqual([{ category: 'Most Creative', winner: '', carName: '' }])
+  })
+
+  it('keeps current settings the template leaves empty', () => {
+    const applied = applyTemplate(settings, { ...template, designCategories: [], classTaxonomy: null })
+    expect(applied.designAwards).toBe(settings.designAwards)
+    expect(applied).not.toHaveProperty('classTaxonomy')
+  })
+})
+
+describe('fitLayoutToClasses', () => {
+  it('keeps saved positions, drops missing classes and adds new ones to the shorter column (left when even)', () => {
+    const item = (id) => ({ id, name: id })
+    const saved = { leftColumn: [item('bear'), item('lion')], rightColumn: [item('wolf')] }
+    const fresh = { leftColumn: [item('wolf'), item('tiger')], rightColumn: [item('bear')] }
+    const fitted = fitLayoutToClasses(saved, fresh)
+    expect(fitted.leftColumn.map(i => i.id)).toEqual(['bear', 'tiger'])
+    expect(fitted.rightColumn.map(i => i.id)).toEqual(['wolf'])
+  })
+})
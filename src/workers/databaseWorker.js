@@ -0,0 +1,134 @@
+/**
+ * Web Worker that owns all SQLite work (loading sql.js, opening databases and
+ * extracting intermediate data) and the statistics pass over the extracted data,
+ * so large files don't freeze the UI thread.
+ *
+ * Messages in:  { id, type: 'load' | 'validate' | 'extract' | 'process' | 'close', ...payload }
+ * Messages out: { id, type: 'progress', fileName, index, total }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', message }
+ */
+import { openDatabase, extractIntermediateData, validateDatabase, isSqliteData } from '../utils/sqliteParser'
+import { processIntermediateData } from '../utils/dataProcessor'
+
+// Open databases, keyed by the id handed back to the main thread
+const databases = new Map()
+let nextDatabaseId = 1
+
+function postProgress(id, fileName, index, total) {
+  self.postMessage({ id, type: 'progress', fileName, index, total })
+}
+
+/**
+ * Open each file and keep it for later extraction
+ * @returns {Array} - [{ dbId, name }] in upload order
+ */
+async function loadFiles(id, { files }) {
+  const loaded = []
+  for (let i = 0; i < files.length; i++) {
+    const { name, buffer } = files[i]
+    postProgress(id, name, i, files.length)
+    const db = await openDatabase(name, buffer)
+    const dbId = `db-${nextDatabaseId++}`
+    databases.set(dbId, db)
+    loaded.push({ dbId, name })
+  }
+  return loaded
+}
+
+/**
+ * Open each file just long enough to summarize it for the upload screen
+ * A file that can't be opened gets a summary with the error, so the others still validate.
+ * @returns {Array} - Validation summaries in upload order
+ */
+async function validateFiles(id, { files }) {
+  const summaries = []
+  for (let i = 0; i < files.length; i++) {
+    const { name, buffer } = files[i]
+    postProgress(id, name, i, files.length)
+    
+    if (!isSqliteData(buffer)) {
+      summaries.push({
+        fileName: name,
+        source: null,
+        errors: [`${name} is not a SQLite database file`],
+        warnings: []
+      })
+      continue
+    }
+    
+    let db
+    try {
+      db = await openDatabase(name, buffer)
+    } catch (err) {
+      summaries.push({
+        fileName: name,
+        source: null,
+        errors: [`${name} could not be opened: ${err.message}`],
+        warnings: []
+      })
+      continue
+    }
+    try {
+      summaries.push(validateDatabase(db))
+    } finally {
+      db.close()
+    }
+  }
+  return summaries
+}
+
+/**
+ * Extract intermediate data (records + per-class stats) from open databases
+ * @returns {Array} - Intermediate data sets in the requested order
+ */
+function extractFiles(id, { dbIds, year }) {
+  return dbIds.map((dbId, i) => {
+    const db = databases.get(dbId)
+    if (!db) throw new Error(`Database ${dbId} is no longer loaded`)
+    postProgress(id, db.name, i, dbIds.length)
+    return {
+      ...extractIntermediateData(db, year),
+      fileName: db.name
+    }
+  })
+}
+
+/**
+ * Process extracted data into race statistics (see processIntermediateData)
+ * @returns {Object} - Processed race data
+ */
+function processData(id, { intermediateDataSets, classMapping, year, options }) {
+  return processIntermediateData(intermediateDataSets, classMapping, year, options)
+}
+
+function closeFiles(id, { dbIds }) {
+  dbIds.forEach(dbId => {
+    const db = databases.get(dbId)
+    if (db) {
+      db.close()
+      databases.delete(dbId)
+    }
+  })
+  return null
+}
+
+const handlers = {
+  load: loadFiles,
+  validate: validateFiles,
+  extract: extractFiles,
+  process: processData,
+  close: closeFiles
+}
+
+self.onmessage = async (e) => {
+  const { id, type, ...payload } = e.data
+  try {
+    const handler = handlers[type]
+    if (!handler) throw new Error(`Unknown worker request: ${type}`)
+    const result = await handler(id, payload)
+    self.postMessage({ id, type: 'result', result })
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message })
+  }
+}
@@ -1,12 +1,39 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Service worker + manifest so the app (including the sql.js WASM) works offline on race day
+    VitePWA({
+      registerType: 'autoUpdate',
+      includeAssets: ['favicon.svg'],
+      manifest: {
+        name: 'Pinewood Derby Report Generator',
+        short_name: 'Derby Report',
+        description: 'Generate professional PDF reports from Pinewood Derby race data',
+        theme_color: '#003366',
+        background_color: '#f3f4f6',
+        display: 'standalone',
+        icons: [
+          {
+            src: 'favicon.svg',
+            sizes: 'any',
+            type: 'image/svg+xml',
+            purpose: 'any'
+          }
+        ]
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,wasm}']
+      }
+    })
+  ],
   base: '/pinewood-derby-report/',  // GitHub Pages repo name
-  optimizeDeps: {
-    exclude: ['sql.js']
+  worker: {
+    format: 'es'  // Database worker is loaded as a module worker
   },
   build: {
     outDir: 'dist',